@@ -0,0 +1,308 @@
+// bases.js
+// -----------------------------------------------------------------------------
+// Visible war bases.
+// - Every war base whose chunk is loaded at full detail gets a fortified
+//   checkpoint around the chunk's central crossing (where warCellToWorld puts
+//   the base): wall pairs across each street with a gate between them, a
+//   turret on each corner of the crossing and flags in the owning faction's
+//   colour.
+// - Structures follow the base's hp: every wall and turret has a damage
+//   threshold and is knocked down to rubble once the base's hp drops below
+//   it, and the main flag sinks down its pole. Intact pieces have colliders
+//   (registered with the WorldManager under the site's own owner key),
+//   rubble doesn't.
+// - A destroyed base leaves ruins until its chunk unloads or another base is
+//   founded in the same cell.
+// -----------------------------------------------------------------------------
+
+import { loadThree } from './three-loader.js';
+import { seededRandom } from './utils.js';
+import { ROAD_WIDTHS } from './roads.js';
+import { warCellToWorld } from './war.js';
+
+const THREE = await loadThree();
+
+const GATE_DISTANCE = 12; // metres from the crossing to each gate
+const GATE_HALF_WIDTH = 1.6;
+const WALL_REACH = ROAD_WIDTHS.street / 2 + 1.5; // across the street and its sidewalk
+const WALL_HEIGHT = 2.6;
+const WALL_THICKNESS = 0.8;
+const RUBBLE_HEIGHT = 0.5;
+const TURRET_RADIUS = 0.7;
+const TURRET_OFFSET = ROAD_WIDTHS.street / 2 + 0.75; // corner of the crossing's sidewalks
+const TURRET_SWEEP = 0.4; // rad/s
+const FLAG_POLE_HEIGHT = 9;
+const GATE_POLE_HEIGHT = 4.5;
+
+const wallLength = WALL_REACH - GATE_HALF_WIDTH;
+const GEOMETRY = {
+  wall: new THREE.BoxGeometry(wallLength, WALL_HEIGHT, WALL_THICKNESS),
+  rubble: new THREE.BoxGeometry(wallLength * 0.9, RUBBLE_HEIGHT, WALL_THICKNESS * 1.6),
+  band: new THREE.BoxGeometry(wallLength, 0.3, WALL_THICKNESS + 0.05),
+  turretBase: new THREE.CylinderGeometry(TURRET_RADIUS, TURRET_RADIUS * 1.1, 1.6, 10),
+  turretHead: new THREE.BoxGeometry(1.0, 0.6, 1.0),
+  barrel: new THREE.CylinderGeometry(0.08, 0.08, 1.4, 6).rotateX(Math.PI / 2).translate(0, 0, 0.9),
+  pole: new THREE.CylinderGeometry(0.08, 0.1, 1, 6).translate(0, 0.5, 0), // scaled to height
+  // Cloth hangs off the pole towards +X from its top-left corner
+  flag: new THREE.PlaneGeometry(2.4, 1.4).translate(1.2, -0.7, 0),
+  gateFlag: new THREE.PlaneGeometry(1.2, 0.7).translate(0.6, -0.35, 0),
+};
+const concreteMat = new THREE.MeshLambertMaterial({ color: 0x6b6b63 });
+const rubbleMat = new THREE.MeshLambertMaterial({ color: 0x3a3833 });
+const turretMat = new THREE.MeshLambertMaterial({ color: 0x4a4f55 });
+const wreckMat = new THREE.MeshLambertMaterial({ color: 0x1e1e1e });
+const poleMat = new THREE.MeshLambertMaterial({ color: 0x999999 });
+const factionMats = new Map();
+function factionMaterial(color) {
+  let mat = factionMats.get(color);
+  if (!mat) {
+    mat = new THREE.MeshLambertMaterial({ color, side: THREE.DoubleSide });
+    factionMats.set(color, mat);
+  }
+  return mat;
+}
+
+export class BaseStructures {
+  constructor(scene, worldManager, warManager) {
+    this.scene = scene;
+    this.worldManager = worldManager;
+    this.warManager = warManager;
+    this.sites = new Map(); // war cell key -> site
+    this.time = 0;
+  }
+
+  update(dt) {
+    this.time += dt;
+    const live = new Set();
+    for (const base of this.warManager.bases) {
+      const key = `${base.x},${base.y}`;
+      if (!this._isLoaded(base.x, base.y)) continue;
+      live.add(key);
+      let site = this.sites.get(key);
+      if (site && site.baseId !== base.id) {
+        // A new base on the ruins of an old one
+        this._remove(site);
+        site = null;
+      }
+      if (!site) site = this._build(base, key);
+      if (site.hp !== base.hp) this._applyDamage(site, base.hp);
+    }
+
+    for (const site of [...this.sites.values()]) {
+      if (!this._isLoaded(site.cellX, site.cellY)) this._remove(site);
+      else if (!live.has(site.key) && !site.ruined) this._ruin(site);
+    }
+
+    for (const site of this.sites.values()) this._animate(site, dt);
+  }
+
+  // Drops every site, e.g. after the war state was replaced by a loaded save
+  clear() {
+    for (const site of [...this.sites.values()]) this._remove(site);
+  }
+
+  _isLoaded(cellX, cellY) {
+    const chunk = this.worldManager.chunks.get(`${cellX},${cellY}`);
+    return !!chunk && chunk.lod === 'full';
+  }
+
+  _build(base, key) {
+    const faction = this.warManager.factions[base.factionId];
+    const colorMat = factionMaterial(faction ? faction.color : '#ffffff');
+    const center = warCellToWorld(base.x, base.y);
+    const groundAt = (x, z) => this.worldManager.getGroundHeight(x, z);
+    const group = new THREE.Group();
+    const site = {
+      key,
+      baseId: base.id,
+      cellX: base.x,
+      cellY: base.y,
+      owner: `base:${key}`,
+      group,
+      walls: [],
+      turrets: [],
+      flag: null,
+      hp: null,
+      ruined: false,
+    };
+
+    // Two wall pieces across each street arm, leaving the gate between them
+    const arms = [
+      { dx: 0, dz: -1 },
+      { dx: 1, dz: 0 },
+      { dx: 0, dz: 1 },
+      { dx: -1, dz: 0 },
+    ];
+    const along = GATE_HALF_WIDTH + wallLength / 2;
+    for (const arm of arms) {
+      for (const side of [-1, 1]) {
+        // Across the arm: perpendicular to its direction
+        const x = center.x + arm.dx * GATE_DISTANCE + arm.dz * along * side;
+        const z = center.z + arm.dz * GATE_DISTANCE + arm.dx * along * side;
+        const y = groundAt(x, z);
+        const piece = new THREE.Group();
+        piece.position.set(x, y, z);
+        piece.rotation.y = arm.dx !== 0 ? Math.PI / 2 : 0;
+        const wall = new THREE.Mesh(GEOMETRY.wall, concreteMat);
+        wall.position.y = WALL_HEIGHT / 2;
+        const band = new THREE.Mesh(GEOMETRY.band, colorMat);
+        band.position.y = WALL_HEIGHT - 0.45;
+        const rubble = new THREE.Mesh(GEOMETRY.rubble, rubbleMat);
+        rubble.position.y = RUBBLE_HEIGHT / 2;
+        rubble.rotation.y = (seededRandom(x, z, base.id) - 0.5) * 0.3;
+        rubble.visible = false;
+        piece.add(wall, band, rubble);
+
+        // Small flag at the outer end of the wall
+        const outer = along + wallLength / 2 - 0.2;
+        const fx = center.x + arm.dx * GATE_DISTANCE + arm.dz * outer * side;
+        const fz = center.z + arm.dz * GATE_DISTANCE + arm.dx * outer * side;
+        const gatePole = new THREE.Mesh(GEOMETRY.pole, poleMat);
+        gatePole.scale.y = GATE_POLE_HEIGHT;
+        gatePole.position.set(fx, y, fz);
+        const gateFlag = new THREE.Mesh(GEOMETRY.gateFlag, colorMat);
+        gateFlag.position.set(fx, y + GATE_POLE_HEIGHT, fz);
+        group.add(piece, gatePole, gateFlag);
+
+        const halfX = arm.dx !== 0 ? WALL_THICKNESS / 2 : wallLength / 2;
+        const halfZ = arm.dx !== 0 ? wallLength / 2 : WALL_THICKNESS / 2;
+        site.walls.push({
+          wall,
+          band,
+          rubble,
+          extras: [gatePole, gateFlag],
+          threshold: 0,
+          broken: false,
+          collider: { shape: 'box', minX: x - halfX, maxX: x + halfX, minZ: z - halfZ, maxZ: z + halfZ, minY: y, maxY: y + WALL_HEIGHT },
+        });
+      }
+    }
+
+    // Turrets on the corners of the crossing
+    for (const [sx, sz] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+      const x = center.x + sx * TURRET_OFFSET;
+      const z = center.z + sz * TURRET_OFFSET;
+      const y = groundAt(x, z);
+      const turretBase = new THREE.Mesh(GEOMETRY.turretBase, turretMat);
+      turretBase.position.set(x, y + 0.8, z);
+      const head = new THREE.Group();
+      head.position.set(x, y + 1.9, z);
+      head.rotation.y = Math.atan2(sx, sz); // facing out of the crossing
+      head.add(new THREE.Mesh(GEOMETRY.turretHead, turretMat), new THREE.Mesh(GEOMETRY.barrel, turretMat));
+      group.add(turretBase, head);
+      site.turrets.push({
+        base: turretBase,
+        head,
+        sweep: seededRandom(sx, sz, base.id) < 0.5 ? -1 : 1,
+        threshold: 0,
+        broken: false,
+        collider: { shape: 'circle', x, z, radius: TURRET_RADIUS, minY: y, maxY: y + 2.2 },
+      });
+    }
+
+    // Main flag in the middle of the crossing
+    const y = groundAt(center.x, center.z);
+    const pole = new THREE.Mesh(GEOMETRY.pole, poleMat);
+    pole.scale.y = FLAG_POLE_HEIGHT;
+    pole.position.set(center.x, y, center.z);
+    const cloth = new THREE.Mesh(GEOMETRY.flag, colorMat);
+    cloth.position.set(center.x, y + FLAG_POLE_HEIGHT, center.z);
+    group.add(pole, cloth);
+    site.flag = {
+      pole,
+      cloth,
+      groundY: y,
+      collider: { shape: 'circle', x: center.x, z: center.z, radius: 0.2, minY: y, maxY: y + FLAG_POLE_HEIGHT },
+    };
+
+    // Pieces give way in a fixed order per base, spread evenly over its hp
+    const pieces = [...site.walls, ...site.turrets];
+    const order = pieces
+      .map((piece, i) => ({ piece, r: seededRandom(i, base.id, 77) }))
+      .sort((a, b) => a.r - b.r);
+    order.forEach(({ piece }, i) => {
+      piece.threshold = (100 * (i + 1)) / (pieces.length + 1);
+    });
+
+    this.scene.add(group);
+    this.sites.set(key, site);
+    this._syncColliders(site);
+    return site;
+  }
+
+  _applyDamage(site, hp) {
+    site.hp = hp;
+    let changed = false;
+    for (const wall of site.walls) {
+      const broken = hp < wall.threshold;
+      if (broken !== wall.broken) {
+        this._setWallBroken(wall, broken);
+        changed = true;
+      }
+    }
+    for (const turret of site.turrets) {
+      const broken = hp < turret.threshold;
+      if (broken !== turret.broken) {
+        this._setTurretBroken(turret, broken);
+        changed = true;
+      }
+    }
+    // The flag sinks as the base is worn down
+    const { cloth, groundY } = site.flag;
+    const share = Math.max(0, Math.min(1, hp / 100));
+    cloth.position.y = groundY + 2 + (FLAG_POLE_HEIGHT - 2) * share;
+    if (changed) this._syncColliders(site);
+  }
+
+  _setWallBroken(wall, broken) {
+    wall.broken = broken;
+    wall.wall.visible = !broken;
+    wall.band.visible = !broken;
+    wall.rubble.visible = broken;
+    for (const extra of wall.extras) extra.visible = !broken;
+  }
+
+  _setTurretBroken(turret, broken) {
+    turret.broken = broken;
+    const mat = broken ? wreckMat : turretMat;
+    turret.base.material = mat;
+    for (const part of turret.head.children) part.material = mat;
+    // A knocked-out turret slumps with its barrel down
+    turret.head.rotation.x = broken ? 0.5 : 0;
+    turret.head.position.y = turret.base.position.y + (broken ? 0.7 : 1.1);
+  }
+
+  // Everything falls: rubble walls, wrecked turrets, no flags
+  _ruin(site) {
+    site.ruined = true;
+    for (const wall of site.walls) this._setWallBroken(wall, true);
+    for (const turret of site.turrets) this._setTurretBroken(turret, true);
+    site.flag.pole.visible = false;
+    site.flag.cloth.visible = false;
+    this._syncColliders(site);
+  }
+
+  _syncColliders(site) {
+    this.worldManager.removeColliders(site.owner);
+    const colliders = [];
+    for (const piece of [...site.walls, ...site.turrets]) {
+      if (!piece.broken) colliders.push(piece.collider);
+    }
+    if (!site.ruined) colliders.push(site.flag.collider);
+    this.worldManager.addColliders(site.owner, colliders);
+  }
+
+  _remove(site) {
+    this.scene.remove(site.group);
+    this.worldManager.removeColliders(site.owner);
+    this.sites.delete(site.key);
+  }
+
+  _animate(site, dt) {
+    if (site.ruined) return;
+    for (const turret of site.turrets) {
+      if (!turret.broken) turret.head.rotation.y += turret.sweep * TURRET_SWEEP * dt;
+    }
+    site.flag.cloth.rotation.y = Math.sin(this.time * 1.3 + site.baseId) * 0.25;
+  }
+}
@@ -6,11 +6,25 @@
 // simple limb animation. Clothing colors still respond to equipment slots and
 // customization options, but the silhouette and materials now have much more
 // personality.
+// The camera orbits the player on foot and switches to a speed-tuned chase
+// view while driving.
 // -----------------------------------------------------------------------------
 
 import { loadThree } from './three-loader.js';
 const THREE = await loadThree();
 
+// Chase camera tuning (distances in metres, speeds in m/s, fov in degrees)
+const CHASE_CAMERA = {
+  distance: 7,
+  speedDistance: 4, // extra trailing distance at top speed
+  height: 2.8,
+  speedHeight: 1.2,
+  lookAhead: 4,
+  speedFov: 14, // extra field of view at top speed
+  topSpeed: 28,
+  stiffness: 6, // higher = camera catches up faster
+};
+
 // -----------------------------------------------------------------------------
 // Texture helpers (tiny canvas textures to keep a retro look)
 // -----------------------------------------------------------------------------
@@ -314,8 +328,19 @@ export class PlayerCharacter {
     this.camera = camera;
   }
 
-  updateCamera(camera, orbit) {
+  // chase: { position, heading, speed, dt } follows a vehicle instead of
+  // orbiting the player (see _updateChaseCamera)
+  updateCamera(camera, orbit, chase = null) {
     if (!camera) return;
+    if (chase) {
+      this._updateChaseCamera(camera, chase);
+      return;
+    }
+    this._chaseCamera = null;
+    if (this._baseFov !== undefined && camera.fov !== this._baseFov) {
+      camera.fov = this._baseFov;
+      camera.updateProjectionMatrix();
+    }
     const target = new THREE.Vector3(this.position.x, this.position.y + 1.5, this.position.z);
     const offset = new THREE.Vector3();
     const { yaw, pitch, distance } = orbit;
@@ -325,6 +350,37 @@ export class PlayerCharacter {
     camera.lookAt(target);
   }
 
+  // Chase camera for driving: trails further back, rides higher and widens
+  // the field of view as speed builds, and eases towards its spot so turns
+  // swing it round instead of snapping. It looks a little ahead of the car.
+  _updateChaseCamera(camera, chase) {
+    if (this._baseFov === undefined) this._baseFov = camera.fov;
+    const speedFactor = Math.min(1, Math.abs(chase.speed) / CHASE_CAMERA.topSpeed);
+    const distance = CHASE_CAMERA.distance + speedFactor * CHASE_CAMERA.speedDistance;
+    const height = CHASE_CAMERA.height + speedFactor * CHASE_CAMERA.speedHeight;
+    const forwardX = Math.sin(chase.heading);
+    const forwardZ = Math.cos(chase.heading);
+    const desired = new THREE.Vector3(
+      chase.position.x - forwardX * distance,
+      chase.position.y + height,
+      chase.position.z - forwardZ * distance
+    );
+    if (!this._chaseCamera) this._chaseCamera = desired.clone();
+    else this._chaseCamera.lerp(desired, 1 - Math.exp(-CHASE_CAMERA.stiffness * chase.dt));
+
+    camera.position.copy(this._chaseCamera);
+    camera.lookAt(
+      chase.position.x + forwardX * CHASE_CAMERA.lookAhead,
+      chase.position.y + 1.2,
+      chase.position.z + forwardZ * CHASE_CAMERA.lookAhead
+    );
+    const fov = this._baseFov + speedFactor * CHASE_CAMERA.speedFov;
+    if (Math.abs(camera.fov - fov) > 0.05) {
+      camera.fov = fov;
+      camera.updateProjectionMatrix();
+    }
+  }
+
   syncTransform() {
     this.group.position.copy(this.position);
     this.group.rotation.y = this.yaw;
@@ -362,25 +418,37 @@ export class PlayerCharacter {
       this.yaw = Math.atan2(moveDir.x, moveDir.z);
     }
 
+    // Resolve walls at the height we were at last frame, and learn how high
+    // the walkable surface under us is (ground, rooftop, ramp...). Doing this
+    // before the vertical step means a fast fall can't tunnel into a ledge.
+    const baseHeight = 1.6 * this.params.heightScale;
+    const supportY = collisionFn(this.position, 0.6, baseHeight) ?? 0;
+    const standY = supportY + baseHeight;
+
     const gravity = -18.0;
     const jumpSpeed = 9.0;
+    const stepDown = 0.5; // stay glued to ramps/stairs instead of hopping off
 
     if (input.jump && this.onGround) {
       this.velocityY = jumpSpeed;
       this.onGround = false;
     }
 
+    const wasOnGround = this.onGround;
     this.velocityY += gravity * dt;
     this.position.y += this.velocityY * dt;
 
-    const baseHeight = 1.6 * this.params.heightScale;
-    if (this.position.y <= baseHeight) {
-      this.position.y = baseHeight;
+    if (
+      this.position.y <= standY ||
+      (wasOnGround && this.velocityY <= 0 && this.position.y - standY <= stepDown)
+    ) {
+      this.position.y = standY;
       this.velocityY = 0;
       this.onGround = true;
+    } else {
+      this.onGround = false;
     }
 
-    collisionFn(this.position, 0.6);
     this.syncTransform();
 
     const moving = len > 0.01;
@@ -579,10 +647,16 @@ export class PlayerCharacter {
 export class CharacterCustomizer {
   constructor(player) {
     this.player = player;
+    this.options = null; // last applied options, kept for saving
+  }
+
+  getOptions() {
+    return this.options ? { ...this.options } : null;
   }
 
   applyOptions(opts) {
     if (!opts) return;
+    this.options = { ...opts };
     this.player.setGender(opts.gender === 'female');
     this.player.applyHeightPreset(opts.height || 'medium');
     this.player.applyBodyPreset(opts.bodyPreset);
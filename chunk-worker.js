@@ -0,0 +1,23 @@
+// chunk-worker.js
+// -----------------------------------------------------------------------------
+// Module worker that lays out chunks off the main thread.
+// - 'init' { seed, nameSeed } creates the WorldGenerator; it must match the
+//   main thread's so both agree on terrain and chunk types.
+// - 'generate' { cx, cz } replies with { type: 'chunk', data } carrying the
+//   plain chunk descriptor, which WorldManager turns into meshes.
+// -----------------------------------------------------------------------------
+
+import { NameGenerator } from './utils.js';
+import { WorldGenerator } from './worldgen.js';
+
+let generator = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'init') {
+    generator = new WorldGenerator(msg.seed, new NameGenerator(msg.nameSeed));
+  } else if (msg.type === 'generate') {
+    if (!generator) throw new Error('chunk-worker: generate before init');
+    self.postMessage({ type: 'chunk', data: generator.generateChunk(msg.cx, msg.cz) });
+  }
+};
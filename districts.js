@@ -0,0 +1,142 @@
+// districts.js
+// -----------------------------------------------------------------------------
+// District layer: groups chunks into large coherent regions before any chunk
+// is built.
+// - The chunk grid is split into regions of REGION_SIZE x REGION_SIZE chunks.
+//   Each region has one jittered core point and owns the chunks closer to its
+//   core than to any other (a Voronoi partition), so region borders wander
+//   instead of following the grid.
+// - Urban regions grow a downtown (city chunks) around the core, ringed by
+//   suburbs, then outskirts of parks and wasteland. Wild regions are only
+//   parks and wasteland. Region (0, 0) is always a city centred on the origin.
+// - Highways run as corridors along X on every REGION_SIZE-th chunk row,
+//   halfway between core rows. They stop at downtowns, where the deck comes
+//   down an on-ramp into the city streets.
+// - A region carries one city name; chunks inside it get a district name
+//   from their ring and compass sector, so neighbouring chunks read as one
+//   place ("North Heights, Nova City").
+// -----------------------------------------------------------------------------
+
+import { seededRandom, fractalNoise2D } from './utils.js';
+
+export const REGION_SIZE = 9; // chunks per region side
+const CORE_JITTER = 2.5; // max offset of a region core from its cell centre
+const WILD_REGION_CHANCE = 0.25;
+const HIGHWAY_ROW = 4; // cz mod REGION_SIZE that carries the highway corridor
+const OUTSKIRT_FREQUENCY = 1 / 3; // park/wasteland patch size, in chunks
+const CACHE_LIMIT = 4096; // regions / chunk infos kept before a cache is dropped
+
+export class DistrictMap {
+  constructor(seed, nameGen) {
+    this.seed = seed;
+    this.nameGen = nameGen;
+    this.regions = new Map(); // "rx,rz" -> region
+    this.chunkInfo = new Map(); // "cx,cz" -> district info
+  }
+
+  // Region (rx, rz): its core in chunk coordinates and how big its rings are
+  getRegion(rx, rz) {
+    const key = `${rx},${rz}`;
+    let region = this.regions.get(key);
+    if (region) return region;
+
+    const home = rx === 0 && rz === 0;
+    const urban = home || seededRandom(rx, rz, this.seed + 71) >= WILD_REGION_CHANCE;
+    const jitterX = (seededRandom(rx, rz, this.seed + 72) - 0.5) * 2 * CORE_JITTER;
+    const jitterZ = (seededRandom(rz, rx, this.seed + 73) - 0.5) * 2 * CORE_JITTER;
+    const downtownRadius = urban ? 1.2 + seededRandom(rx, rz, this.seed + 74) * 1.3 : 0;
+    region = {
+      key,
+      rx,
+      rz,
+      urban,
+      coreX: home ? 0 : rx * REGION_SIZE + jitterX,
+      coreZ: home ? 0 : rz * REGION_SIZE + jitterZ,
+      downtownRadius,
+      suburbRadius: urban ? downtownRadius + 1.5 + seededRandom(rx, rz, this.seed + 75) * 1.5 : 0,
+      cityName: this.nameGen.getRegionName(rx, rz, urban),
+      cityRoot: this.nameGen.getCityRootForCoords(rx, rz),
+    };
+    if (this.regions.size >= CACHE_LIMIT) this.regions.clear();
+    this.regions.set(key, region);
+    return region;
+  }
+
+  // Region whose core is nearest to the chunk
+  getRegionForChunk(cx, cz) {
+    const rx0 = Math.round(cx / REGION_SIZE);
+    const rz0 = Math.round(cz / REGION_SIZE);
+    let best = null;
+    let bestDist = Infinity;
+    for (let rx = rx0 - 1; rx <= rx0 + 1; rx++) {
+      for (let rz = rz0 - 1; rz <= rz0 + 1; rz++) {
+        const region = this.getRegion(rx, rz);
+        const d = Math.hypot(cx - region.coreX, cz - region.coreZ);
+        if (d < bestDist) {
+          bestDist = d;
+          best = region;
+        }
+      }
+    }
+    return best;
+  }
+
+  // { type, region, cityName, districtName, areaName, density } for a chunk.
+  // density runs from 1 at a downtown core to 0 at the edge of its suburbs.
+  getChunkInfo(cx, cz) {
+    const key = `${cx},${cz}`;
+    let info = this.chunkInfo.get(key);
+    if (info) return info;
+
+    const region = this.getRegionForChunk(cx, cz);
+    const dx = cx - region.coreX;
+    const dz = cz - region.coreZ;
+    const dist = Math.hypot(dx, dz);
+    const onHighwayRow = ((cz % REGION_SIZE) + REGION_SIZE) % REGION_SIZE === HIGHWAY_ROW;
+
+    let type;
+    let ring;
+    if (region.urban && dist <= region.downtownRadius) {
+      type = 'city';
+      ring = 'downtown';
+    } else if (onHighwayRow) {
+      type = 'highway';
+      ring = 'highway';
+    } else if (region.urban && dist <= region.suburbRadius) {
+      type = 'suburb';
+      ring = 'suburb';
+    } else {
+      // Outskirts: coherent patches of park and wasteland
+      const n = fractalNoise2D(cx * OUTSKIRT_FREQUENCY, cz * OUTSKIRT_FREQUENCY, this.seed + 76, 2);
+      type = n > (region.urban ? -0.1 : 0.15) ? 'park' : 'wasteland';
+      ring = type;
+    }
+
+    const sector = this._getSector(dx, dz);
+    const density = region.urban ? Math.max(0, 1 - dist / Math.max(region.suburbRadius, 1)) : 0;
+    const districtName = this.nameGen.getDistrictName(ring, sector, region.rx, region.rz);
+    info = {
+      type,
+      region,
+      sector,
+      cityName: region.cityName,
+      districtName,
+      areaName: `${districtName}, ${region.cityName}`,
+      density,
+    };
+
+    if (this.chunkInfo.size >= CACHE_LIMIT) this.chunkInfo.clear();
+    this.chunkInfo.set(key, info);
+    return info;
+  }
+
+  getChunkType(cx, cz) {
+    return this.getChunkInfo(cx, cz).type;
+  }
+
+  // Compass sector of an offset from the core; north is -Z
+  _getSector(dx, dz) {
+    if (Math.abs(dx) > Math.abs(dz)) return dx > 0 ? 'east' : 'west';
+    return dz > 0 ? 'south' : 'north';
+  }
+}
@@ -0,0 +1,104 @@
+// dump-world.mjs
+// -----------------------------------------------------------------------------
+// Headless world dump for determinism checks. Runs the same WorldGenerator
+// the game uses, without a browser or WebGL, and writes the chunk descriptors
+// for a seed and chunk range as JSON.
+//
+//   node dump-world.mjs --seed 4242 --range -2,-2:2,2 > snapshot.json
+//   node dump-world.mjs --seed 4242 --range -2,-2:2,2 --compare snapshot.json
+//
+// Options:
+//   --seed <s>        world seed, as in the game's ?seed= (default 4242, the
+//                     game's default); the generator and name seeds are
+//                     derived from it the way the game does
+//   --name-seed <n>   override the derived NameGenerator seed
+//   --range a,b:c,d   inclusive chunk range from (a, b) to (c, d)
+//                     (default -1,-1:1,1)
+//   --out <file>      write to a file instead of stdout
+//   --compare <file>  compare against an earlier dump instead of writing one;
+//                     lists differing chunks and exits with status 1
+// -----------------------------------------------------------------------------
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { NameGenerator, DEFAULT_WORLD_SEED, parseWorldSeed, deriveSeeds } from './utils.js';
+import { WorldGenerator } from './worldgen.js';
+
+function parseArgs(argv) {
+  let worldSeed = DEFAULT_WORLD_SEED;
+  let nameSeed = null;
+  const options = { range: '-1,-1:1,1', out: null, compare: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if (arg === '--seed') worldSeed = parseWorldSeed(value);
+    else if (arg === '--name-seed') nameSeed = Number(value);
+    else if (arg === '--range') options.range = value;
+    else if (arg === '--out') options.out = value;
+    else if (arg === '--compare') options.compare = value;
+    else throw new Error(`Unknown option: ${arg}`);
+    i++;
+  }
+  if (worldSeed === null) throw new Error('--seed needs a value.');
+  if (nameSeed !== null && !Number.isFinite(nameSeed)) throw new Error('--name-seed must be a number.');
+  const seeds = deriveSeeds(worldSeed);
+  options.seed = seeds.world;
+  options.nameSeed = nameSeed ?? seeds.names;
+  return options;
+}
+
+function parseRange(text) {
+  const match = /^(-?\d+),(-?\d+):(-?\d+),(-?\d+)$/.exec(text || '');
+  if (!match) throw new Error(`Invalid --range "${text}", expected e.g. -2,-2:2,2`);
+  const [x0, z0, x1, z1] = match.slice(1).map(Number);
+  return {
+    minX: Math.min(x0, x1),
+    maxX: Math.max(x0, x1),
+    minZ: Math.min(z0, z1),
+    maxZ: Math.max(z0, z1),
+  };
+}
+
+function dump(options) {
+  const range = parseRange(options.range);
+  const generator = new WorldGenerator(options.seed, new NameGenerator(options.nameSeed));
+  const chunks = [];
+  for (let cz = range.minZ; cz <= range.maxZ; cz++) {
+    for (let cx = range.minX; cx <= range.maxX; cx++) {
+      chunks.push(generator.generateChunk(cx, cz));
+    }
+  }
+  return { seed: options.seed, nameSeed: options.nameSeed, range: options.range, chunks };
+}
+
+// Chunk keys whose descriptors differ between two dumps
+function diffDumps(expected, actual) {
+  const byKey = (d) => new Map(d.chunks.map((c) => [c.key, JSON.stringify(c)]));
+  const a = byKey(expected);
+  const b = byKey(actual);
+  const keys = new Set([...a.keys(), ...b.keys()]);
+  return [...keys].filter((key) => a.get(key) !== b.get(key));
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const result = dump(options);
+  if (options.compare) {
+    const expected = JSON.parse(readFileSync(options.compare, 'utf8'));
+    if (expected.seed !== result.seed || expected.nameSeed !== result.nameSeed) {
+      console.warn('Note: comparing dumps made with different seeds.');
+    }
+    const changed = diffDumps(expected, result);
+    if (changed.length > 0) {
+      console.error(`${changed.length} chunk(s) differ: ${changed.join(' ')}`);
+      process.exit(1);
+    }
+    console.log(`All ${result.chunks.length} chunks match ${options.compare}.`);
+  } else {
+    const json = JSON.stringify(result, null, 2);
+    if (options.out) writeFileSync(options.out, json + '\n');
+    else process.stdout.write(json + '\n');
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(2);
+}
@@ -147,9 +147,10 @@ export class InteriorsManager {
     return d2 <= maxDist * maxDist ? e : null;
   }
 
-  // Very similar to world collision but in local interior coordinates
+  // Very similar to world collision but in local interior coordinates.
+  // Interiors are single-storey, so the walkable height is always the floor.
   handleCollisions(pos, radius) {
-    if (!this.activeInterior) return;
+    if (!this.activeInterior) return 0;
     const r = radius || 0.7;
     for (const c of this.activeInterior.colliders) {
       if (
@@ -171,5 +172,6 @@ export class InteriorsManager {
       }
     }
     if (pos.y < 1.6) pos.y = 1.6;
+    return 0;
   }
 }
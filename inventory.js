@@ -35,6 +35,17 @@ export class InventorySystem {
       { id: 'backpack_city', name: 'City Backpack', slot: 'accessory', color: 0x444488 }
     );
   }
+
+  // Adds a copy of an item unless one with the same id is already owned
+  addItem(item) {
+    if (this.hasItem(item.id)) return false;
+    this.items.push({ ...item });
+    return true;
+  }
+
+  hasItem(itemId) {
+    return this.items.some((i) => i.id === itemId);
+  }
 
   getItems() {
     return this.items;
@@ -58,6 +69,25 @@ export class InventorySystem {
     this._syncToCharacter();
   }
 
+  // Save data: full item list plus equipped item ids per slot
+  serialize() {
+    const equipment = {};
+    for (const slot of Object.keys(this.equipment)) {
+      equipment[slot] = this.equipment[slot] ? this.equipment[slot].id : null;
+    }
+    return { items: this.items.map((i) => ({ ...i })), equipment };
+  }
+
+  restore(data) {
+    if (!data) return;
+    this.items = (data.items || []).map((i) => ({ ...i }));
+    const equipped = data.equipment || {};
+    for (const slot of Object.keys(this.equipment)) {
+      this.equipment[slot] = this.items.find((i) => i.id === equipped[slot]) || null;
+    }
+    this._syncToCharacter();
+  }
+
   _syncToCharacter() {
     if (this.player && this.player.applyEquipment) {
       this.player.applyEquipment(this.equipment);
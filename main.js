@@ -11,9 +11,27 @@
 //   - WASD : Move
 //   - Mouse: Look (click the canvas to capture the mouse)
 //   - Space: Jump
-//   - E    : Interact (doors, NPCs, exits)
+//   - E    : Interact (doors, NPCs, exits, get in / out of cars)
+//   - Driving: W/S throttle and brake/reverse, A/D steer, Space handbrake
 //   - I    : Toggle inventory
 //   - C    : Toggle character customization
+//   - L    : Toggle save slots (save / load / export / import)
+//   - G    : Toggle graphics settings (view distance)
+//   - M    : Toggle the world map (mouse wheel zooms)
+//   - F    : Find places and set a waypoint
+//   - J    : Factions (reputation, allegiance, current job)
+//   - E at a base's flag: jobs, enlisting, sabotage; E inside a shop: buy
+//   - E at a transit station: fast travel to a discovered station
+//   - + / -: Shift the time of day by an hour
+//   - Chat /link: copy a link to this world and spot; /seed shows the seed
+//   - Chat /ai: list faction strategies; /ai <faction> <strategy> swaps one
+//
+// WORLD SEED:
+//   - index.html?seed=… picks the world (a number or any text); adding
+//     &x=…&z=… starts at that spot. Without ?seed= the stored session's world
+//     is reused, or a seed is asked for (blank = the default world). Every
+//     generator's seed is derived from it (see deriveSeeds in utils.js).
+//     Opening another world keeps the stored session as a save slot.
 //
 // This file wires together all systems:
 //   - 3D renderer and camera
@@ -21,21 +39,41 @@
 //   - Interior "cells" system
 //   - Player character & movement
 //   - Inventory and equipment visuals
-//   - Faction war simulation
+//   - Faction war simulation, with its bases, convoys and aircraft shown in
+//     the city
+//   - The player's faction standing: allegiance, reputation, jobs and shops
+//   - Day/night cycle (game clock, sun, sky and fog)
+//   - Regional weather (precipitation, fog and light changes)
 //   - NPCs and dialogue
-//   - UI, chat, notifications
+//   - UI, chat, notifications, minimap and world map
+//   - Place search, waypoints and compass
+//   - Transit stations and fast travel
+//   - Drivable cars with a chase camera
+//   - Save / load of the session (autosave to localStorage)
 // -----------------------------------------------------------------------------
 
 import { loadThree } from './three-loader.js';
 const THREE = await loadThree();
-import { NameGenerator, seededRandom } from './utils.js';
-import { WorldManager, CHUNK_SIZE } from './world.js';
+import { NameGenerator, seededRandom, DEFAULT_WORLD_SEED, parseWorldSeed, deriveSeeds } from './utils.js';
+import { WorldManager, CHUNK_SIZE, VIEW_DISTANCES, DEFAULT_VIEW_DISTANCE } from './world.js';
 import { InteriorsManager } from './interiors.js';
 import { PlayerCharacter, CharacterCustomizer } from './character.js';
 import { InventorySystem } from './inventory.js';
-import { WarManager } from './war.js';
+import { WarManager, worldToWarCell, warCellToWorld } from './war.js';
+import { STRATEGIES } from './strategies.js';
 import { NpcManager } from './npc.js';
 import { UI } from './ui.js';
+import { SaveManager } from './save.js';
+import { TimeOfDay } from './timeofday.js';
+import { WeatherSystem } from './weather.js';
+import { WorldMap } from './map.js';
+import { PoiRegistry } from './poi.js';
+import { WaypointNavigator } from './waypoints.js';
+import { TransitNetwork } from './transit.js';
+import { VehicleManager } from './vehicles.js';
+import { BaseStructures } from './bases.js';
+import { UnitProxyManager } from './units.js';
+import { FactionStanding } from './reputation.js';
 
 // Grab DOM elements
 const canvas = document.getElementById('gameCanvas');
@@ -49,16 +87,45 @@ renderer.setSize(window.innerWidth, window.innerHeight);
 // We use two scenes: exterior world and interior cell scenes
 const worldScene = new THREE.Scene();
 worldScene.background = new THREE.Color(0x05070a);
+// Distance fog hides the edge of the streamed world; WorldManager sets its
+// range from the view distance
+worldScene.fog = new THREE.Fog(0x05070a, 120, 440);
 const interiorScene = new THREE.Scene();
 interiorScene.background = new THREE.Color(0x020203);
 
-// Basic lighting (simple PS2 / early Source feel)
+// Basic lighting (simple PS2 / early Source feel). World lights, sky and fog
+// follow the time of day; see applyTimeOfDay.
 const worldAmbient = new THREE.AmbientLight(0x404040);
 worldScene.add(worldAmbient);
 const worldDir = new THREE.DirectionalLight(0xffffff, 0.8);
 worldDir.position.set(1, 3, 2);
 worldScene.add(worldDir);
 
+// Game clock: game seconds per real second (1 = the day lasts a real day)
+const GAME_TIME_SCALE = 1;
+const timeOfDay = new TimeOfDay({ timeScale: GAME_TIME_SCALE });
+
+// Weather thickens the fog, tints the sky towards its own colour and dims the
+// lights on top of the time of day
+const weatherTint = new THREE.Color();
+
+function applyTimeOfDay() {
+  const light = timeOfDay.getLighting();
+  const effects = weather.getEffects();
+  worldScene.background.setHex(light.sky).lerp(weatherTint.setHex(effects.tint), effects.tintAmount);
+  worldScene.fog.color.copy(worldScene.background);
+  const fogRange = worldManager.getFogRange();
+  worldScene.fog.near = fogRange.near * effects.fogScale;
+  worldScene.fog.far = fogRange.far * effects.fogScale;
+  worldAmbient.color.setHex(light.ambient);
+  worldAmbient.intensity = light.ambientIntensity * effects.lightScale;
+  worldDir.color.setHex(light.sun);
+  worldDir.intensity = light.sunIntensity * effects.lightScale;
+  const d = light.sunDirection;
+  worldDir.position.set(d.x * 10, d.y * 10, d.z * 10);
+  worldManager.setTimeOfDay(timeOfDay.getHour(), timeOfDay.getDaylight());
+}
+
 const interiorAmbient = new THREE.AmbientLight(0x555555);
 interiorScene.add(interiorAmbient);
 const interiorDir = new THREE.DirectionalLight(0xffffff, 0.6);
@@ -74,29 +141,104 @@ const camera = new THREE.PerspectiveCamera(
 );
 const cameraOrbit = { yaw: Math.PI, pitch: 0.25, distance: 9.0 };
 
+// Save system: read any stored session up front so returning players skip
+// the username and seed prompts. Sections are registered once all systems
+// exist.
+const saveManager = new SaveManager();
+const savedSession = saveManager.loadStored();
+
+// World seed: a shared link's ?seed= wins, then the stored session's world,
+// otherwise ask. Sessions from before world seeds existed are the default world.
+const pageParams = new URLSearchParams(window.location.search);
+const savedWorldSeed = savedSession ? savedSession.sections.world?.seed ?? DEFAULT_WORLD_SEED : null;
+const worldSeed = resolveWorldSeed();
+const seeds = deriveSeeds(worldSeed);
+
+function resolveWorldSeed() {
+  const fromUrl = parseWorldSeed(pageParams.get('seed'));
+  if (fromUrl !== null) return fromUrl;
+  if (savedWorldSeed !== null) return savedWorldSeed;
+  const answer = prompt('World seed (a number or any text; leave blank for the default world)', '');
+  return parseWorldSeed(answer) ?? DEFAULT_WORLD_SEED;
+}
+
 // Game-wide random naming helper
-const nameGen = new NameGenerator(1337);
+const nameGen = new NameGenerator(seeds.names);
 
 // World/exterior manager
-const worldManager = new WorldManager(worldScene, nameGen);
+const worldManager = new WorldManager(worldScene, nameGen, seeds.world);
+
+// Weather follows the player's region and the clock
+const weather = new WeatherSystem(worldScene, worldManager, timeOfDay, worldManager.generator.seed);
+applyTimeOfDay();
 
 // Interiors manager
 const interiorsManager = new InteriorsManager(interiorScene, nameGen);
 
-// War simulation
-const warManager = new WarManager(nameGen, (msg) => {
-  UI.showNotification(msg);
-});
+// War simulation. War grid cells are treated as world chunks for naming.
+const warManager = new WarManager(
+  nameGen,
+  (msg) => {
+    UI.showNotification(msg);
+  },
+  (x, y) => worldManager.getAreaNameForChunk(x, y),
+  seeds.war
+);
+
+// Fortified checkpoints for war bases in loaded chunks
+const baseStructures = new BaseStructures(worldScene, worldManager, warManager);
+// Convoys and aircraft standing in for the war's units near the player
+const unitProxies = new UnitProxyManager(worldScene, worldManager, warManager);
+
+// The player's allegiance, reputation, credits and faction jobs
+const standing = new FactionStanding(warManager, (msg) => UI.showNotification(msg));
+const BASE_INTERACT_RADIUS = 5; // metres from a base's flag
+const SABOTAGE_DAMAGE = 25;
+const SABOTAGE_COOLDOWN_SECONDS = 90; // per base
 
 // NPC manager (friendly city dwellers)
-const npcManager = new NpcManager(worldScene, nameGen, warManager);
+const npcManager = new NpcManager(worldScene, nameGen, warManager, worldManager, seeds.npcs);
+
+// Parked cars on city streets, drivable with E
+const vehicleManager = new VehicleManager(worldScene, worldManager);
+const VEHICLE_ENTER_RADIUS = 3;
+
+// Minimap and full world map, charted from the chunks the world builds
+const worldMap = new WorldMap(worldManager, warManager, {
+  minimapCanvas: document.getElementById('minimap'),
+  fullMapCanvas: document.getElementById('fullMap'),
+});
+
+// Searchable places and the waypoint the compass points at
+const poiRegistry = new PoiRegistry(worldManager);
+const waypointNavigator = new WaypointNavigator(camera);
+
+function setWaypoint(waypoint) {
+  if (waypoint) waypointNavigator.set(waypoint);
+  else waypointNavigator.clear();
+  worldMap.setWaypoint(waypointNavigator.get());
+  UI.setWaypointLabel(waypoint ? waypoint.name : null);
+}
+
+// Transit: stations discovered so far; travel runs from handleInteraction
+const transit = new TransitNetwork(warManager);
+const STATION_DISCOVER_RADIUS = 14; // walking this close adds a station to the list
+const STATION_USE_RADIUS = 4;
+const TRAVEL_MIN_SECONDS = 1.5; // travel screen shows at least this long
+const TRAVEL_MAX_SECONDS = 8; // and gives up waiting for chunks after this
+
+// Graphics preference (per browser, not per save)
+let viewDistance = saveManager.loadPreference('viewDistance', DEFAULT_VIEW_DISTANCE);
+if (!VIEW_DISTANCES[viewDistance]) viewDistance = DEFAULT_VIEW_DISTANCE;
+worldManager.setViewDistance(viewDistance);
 
 // Player character
 const startingPos = new THREE.Vector3(0, 1.6, 0);
 const player = new PlayerCharacter(worldScene, /*isFemale*/ true, startingPos);
 player.attachCamera(camera);
-const username = prompt('Enter your username', 'Guest');
-player.setDisplayName(username || 'Guest');
+const savedUsername = savedSession?.sections.profile?.username;
+const username = savedUsername || prompt('Enter your username', 'Guest') || 'Guest';
+player.setDisplayName(username);
 
 // Character customization helper
 const characterCustomizer = new CharacterCustomizer(player);
@@ -109,8 +251,13 @@ const state = {
   activeScene: 'world', // 'world' or 'interior'
   inInterior: false,
   lastAreaName: '',
+  lastAreaLabel: '', // area name plus who holds it, as shown on the HUD
   lastWorldPosition: startingPos.clone(),
   currentInteriorName: '',
+  currentDoor: null, // door we came through while inside an interior
+  travel: null, // { label, elapsed } while the travel screen is up
+  openBaseId: null, // base whose panel is showing
+  sabotagedAt: new Map(), // base id -> time (s) of the player's last sabotage there
 };
 
 // INPUT HANDLING --------------------------------------------------------------
@@ -124,7 +271,15 @@ const keys = {
 
 let wantJump = false; // one-shot jump intent
 
+// Typing into chat or the save-slot name must not drive the character
+function isTyping(e) {
+  const tag = e.target && e.target.tagName;
+  return tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA';
+}
+
 document.addEventListener('keydown', (e) => {
+  if (isTyping(e)) return;
+
   if (e.code in keys) keys[e.code] = true;
 
   if (e.code === 'Space') {
@@ -137,21 +292,46 @@ document.addEventListener('keydown', (e) => {
   if (e.code === 'KeyC') {
     UI.toggleCustomizationPanel();
   }
+  if (e.code === 'KeyL') {
+    UI.toggleSavePanel();
+  }
+  if (e.code === 'KeyG') {
+    UI.toggleGraphicsPanel();
+  }
+  if (e.code === 'KeyM') {
+    UI.toggleMapPanel();
+  }
+  if (e.code === 'KeyF') {
+    UI.togglePoiPanel();
+  }
+  if (e.code === 'KeyJ') {
+    UI.toggleFactionPanel();
+  }
   if (e.code === 'KeyE') {
     handleInteraction();
   }
   if (e.key === '+' || (e.code === 'Equal' && e.shiftKey)) {
     UI.adjustClockHours(1);
+    applyTimeOfDay();
   }
   if (e.key === '-' || e.code === 'Minus') {
     UI.adjustClockHours(-1);
+    applyTimeOfDay();
   }
 });
 
 document.addEventListener('keyup', (e) => {
+  if (isTyping(e)) return;
   if (e.code in keys) keys[e.code] = false;
 });
 
+// Keys held while focus moves into a field get their keyup there, so let go
+// of everything instead
+document.addEventListener('focusin', (e) => {
+  if (!isTyping(e)) return;
+  for (const code of Object.keys(keys)) keys[code] = false;
+});
+
 // Pointer lock & mouse look
 let mouseLocked = false;
 let dragLook = { active: false, lastX: 0, lastY: 0 };
@@ -226,6 +406,7 @@ UI.init({
   characterCustomizer,
   warManager,
   player,
+  timeOfDay,
   onEquipItem: (itemId) => {
     inventory.equip(itemId);
     UI.refreshInventoryView(inventory);
@@ -238,27 +419,361 @@ UI.init({
     characterCustomizer.applyOptions(options);
   },
   onChatSubmit: (text) => {
-    // Player chat
+    // Player chat; lines starting with / are commands
     UI.appendChatMessage('You', text);
+    if (text.startsWith('/')) runChatCommand(text.slice(1).trim().split(/\s+/));
+  },
+  onViewDistanceChanged: (name) => {
+    worldManager.setViewDistance(name);
+    saveManager.storePreference('viewDistance', name);
+  },
+  onMapToggled: (open) => worldMap.setFullMapVisible(open),
+  onPoiSearch: (query, kind) => ({
+    hits: poiRegistry.search(query, { kind, from: state.inInterior ? state.lastWorldPosition : player.position }),
+    radius: poiRegistry.getIndexRadiusMeters(),
+  }),
+  onPoiSelected: (poiId) => {
+    const poi = poiRegistry.get(poiId);
+    if (!poi) return;
+    setWaypoint({ poiId, name: poi.name, x: poi.x, y: poi.y, z: poi.z });
+    UI.showNotification(`Waypoint set: ${poi.name}.`);
+  },
+  onWaypointCleared: () => setWaypoint(null),
+  onFastTravel: (stationId) => startFastTravel(stationId),
+  onBaseAction: (action, baseId) => runBaseAction(action, baseId),
+  onDesert: () => standing.desert(),
+  onAbandonJob: () => {
+    standing.abandonJob();
+    clearJobWaypoint();
+  },
+  onShopBuy: (itemId) => buyFromShop(itemId),
+  saveCallbacks: {
+    listSlots: () => saveManager.listSlots(),
+    onSave: (name) => {
+      try {
+        saveManager.saveToSlot(name, describeSave());
+        UI.showNotification(`Saved to slot "${name}".`);
+      } catch (err) {
+        UI.showNotification(`Save failed: ${err.message}`);
+      }
+      UI.refreshSaveSlots();
+    },
+    onLoad: (name) => {
+      try {
+        loadSnapshot(saveManager.getSlot(name));
+        UI.showNotification(`Loaded slot "${name}".`);
+      } catch (err) {
+        UI.showNotification(`Load failed: ${err.message}`);
+      }
+    },
+    onDelete: (name) => {
+      saveManager.deleteSlot(name);
+      UI.refreshSaveSlots();
+    },
+    onExport: (name) => {
+      saveManager.exportToFile(saveManager.getSlot(name), saveFileName(name));
+    },
+    onExportCurrent: () => {
+      const snapshot = { ...saveManager.createSnapshot(), meta: { ...describeSave(), name: 'Export' } };
+      saveManager.exportToFile(snapshot, saveFileName('current'));
+    },
+    // Loading and keeping a slot copy fail separately: once the snapshot is
+    // loaded the game has changed, whatever happens to the copy
+    onImportFile: async (file) => {
+      let snapshot;
+      try {
+        snapshot = saveManager.parseImport(await file.text());
+        loadSnapshot(snapshot);
+      } catch (err) {
+        UI.showNotification(`Import rejected: ${err.message}`);
+        return;
+      }
+      const name = `Imported: ${file.name.replace(/\.json$/i, '')}`;
+      try {
+        saveManager.storeSlot({ ...snapshot, meta: { ...snapshot.meta, name } });
+        UI.showNotification(`Imported ${file.name}.`);
+      } catch (err) {
+        UI.showNotification(`Imported ${file.name}, but it couldn't be kept as a slot: ${err.message}`);
+      }
+      UI.refreshSaveSlots();
+    },
   },
 });
+UI.setViewDistance(viewDistance);
+weather.subscribe((current) => UI.setWeather(current));
+standing.subscribe(showStanding);
+showStanding(standing);
 
-// Seed some starter items into the inventory and render UI
-inventory.addStarterItems();
-// Default look inspired by the cyber-street vibe screenshot
-characterCustomizer.applyOptions({
-  gender: 'female',
-  height: 'medium',
-  bodyPreset: 'slim',
-  headPreset: 'sharp',
-  skinTone: 'light',
-  hairStyle: 'long',
-  hairColor: 'red',
+function showStanding(current) {
+  UI.refreshFactionPanel(current);
+  UI.setFactionChannel(warManager.factions.map((f) => ({ faction: f, attitude: current.getAttitude(f.id) })));
+}
+
+// SAVE / LOAD -----------------------------------------------------------------
+// Registration order is restore order: the character look must exist before
+// equipment is synced onto it, and the player position before the interior
+// session is re-entered.
+saveManager.register('world', {
+  save: () => ({ seed: worldSeed }),
+  validate: (data) =>
+    data && data.seed === worldSeed ? null : `save is from world ${data && data.seed}; open it with ?seed=${data && data.seed}`,
+  load: () => {}, // the seed is chosen at startup, before any generator exists
+});
+saveManager.register('profile', {
+  save: () => ({ username }),
+  validate: (data) => (data && typeof data === 'object' ? null : 'expected a profile object'),
+  load: () => {}, // read directly at startup, before the prompt
+});
+saveManager.register('customization', {
+  save: () => characterCustomizer.getOptions(),
+  validate: (opts) => {
+    if (!opts || typeof opts !== 'object') return 'expected an options object';
+    const bad = Object.entries(opts).find(([key, value]) => !UI.isCustomizationChoice(key, value));
+    return bad ? `"${bad[1]}" is not a choice for ${bad[0]}` : null;
+  },
+  load: (opts) => {
+    characterCustomizer.applyOptions(opts);
+    UI.setCustomizationOptions(opts);
+  },
+});
+saveManager.register('inventory', {
+  save: () => inventory.serialize(),
+  validate: (data) => {
+    if (!data || !Array.isArray(data.items)) return 'items must be a list';
+    const bad = data.items.find((i) => !i || typeof i.id !== 'string' || typeof i.slot !== 'string');
+    return bad ? 'every item needs an id and a slot' : null;
+  },
+  load: (data) => inventory.restore(data),
 });
-inventory.equip('jacket_black');
-inventory.equip('pants_jeans');
-inventory.equip('boots_combat');
+saveManager.register('war', {
+  save: () => warManager.serialize(),
+  validate: (data) => {
+    if (!data || !Array.isArray(data.bases) || !Array.isArray(data.units)) {
+      return 'bases and units must be lists';
+    }
+    const onGrid = (e) => e && Number.isFinite(e.x) && Number.isFinite(e.y) && !!warManager.factions[e.factionId];
+    if (!data.bases.every(onGrid) || !data.units.every(onGrid)) return 'bases/units need a faction and grid position';
+    // Older saves have no strategies; restore falls back to the defaults
+    if (data.strategies !== undefined && !Array.isArray(data.strategies)) return 'strategies must be a list';
+    if (data.recentEvents !== undefined && !Array.isArray(data.recentEvents)) return 'recent events must be a list';
+    return null;
+  },
+  load: (data) => {
+    warManager.restore(data);
+    baseStructures.clear();
+    unitProxies.clear();
+  },
+});
+saveManager.register('clock', {
+  save: () => timeOfDay.serialize(),
+  validate: (data) => {
+    if (!data || typeof data !== 'object') return 'expected a clock object';
+    if (!Number.isFinite(data.hour) && data.hour !== undefined) return 'hour must be a number';
+    return Number.isFinite(data.elapsed) || data.elapsed === undefined ? null : 'elapsed must be a number';
+  },
+  load: (data) => {
+    if (Number.isFinite(data.hour)) {
+      timeOfDay.restore(data);
+    } else if (Number.isFinite(data.offsetMs)) {
+      // Older saves stored an offset from the wall clock
+      const now = new Date(Date.now() + data.offsetMs);
+      timeOfDay.setHour(now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600);
+    }
+    UI.refreshClock();
+    applyTimeOfDay();
+  },
+});
+saveManager.register('transit', {
+  save: () => transit.serialize(),
+  validate: (data) => {
+    if (!data || !Array.isArray(data.discovered)) return 'discovered stations must be a list';
+    const valid = (s) => s && typeof s.id === 'string' && Number.isFinite(s.x) && Number.isFinite(s.z);
+    return data.discovered.every(valid) ? null : 'stations need an id and a position';
+  },
+  load: (data) => transit.restore(data),
+});
+saveManager.register('vehicles', {
+  save: () => vehicleManager.serialize(),
+  validate: (data) => {
+    if (!data || !Array.isArray(data.moved)) return 'moved cars must be a list';
+    const valid = (r) => r && typeof r.id === 'string' && [r.x, r.y, r.z, r.heading, r.color].every(Number.isFinite);
+    return data.moved.every(valid) ? null : 'cars need an id, a position, a heading and a colour';
+  },
+  load: (data) => {
+    if (vehicleManager.driven) leaveVehicle();
+    vehicleManager.restore(data);
+  },
+});
+saveManager.register('factions', {
+  save: () => standing.serialize(),
+  validate: (data) => {
+    if (!data || !Array.isArray(data.reputation) || !data.reputation.every(Number.isFinite)) {
+      return 'reputation must be a list of numbers';
+    }
+    const validFaction = data.allegiance === null || !!warManager.factions[data.allegiance];
+    if (!validFaction) return 'allegiance must be a faction or null';
+    const job = data.job;
+    if (job == null) return null;
+    if (typeof job !== 'object' || !warManager.factions[job.factionId]) return 'job must name a faction';
+    const validJob = Number.isInteger(job.targetBaseId) && Number.isFinite(job.pay) && typeof job.label === 'string';
+    return validJob ? null : 'job needs a target base id, pay and label';
+  },
+  load: (data) => {
+    standing.restore(data);
+    clearJobWaypoint();
+    const target = standing.getJobTarget();
+    if (target) setWaypoint(jobWaypoint(target));
+  },
+});
+saveManager.register('session', {
+  save: () => ({
+    position: player.position.toArray(),
+    yaw: player.yaw,
+    camera: { yaw: cameraOrbit.yaw, pitch: cameraOrbit.pitch },
+    inInterior: state.inInterior,
+    lastWorldPosition: state.lastWorldPosition.toArray(),
+    door: state.inInterior ? state.currentDoor : null,
+  }),
+  validate: (data) => {
+    if (!data || !isVec3Array(data.position)) return 'player position is missing';
+    if (data.inInterior && !isDoor(data.door)) return 'interior door is missing';
+    return null;
+  },
+  load: (data) => restoreSession(data),
+});
+
+// A door as stored in state.currentDoor. Saves from before shops had no
+// interiorType.
+function isDoor(door) {
+  return (
+    !!door &&
+    typeof door.id === 'string' &&
+    typeof door.areaName === 'string' &&
+    (door.interiorType === undefined || typeof door.interiorType === 'string')
+  );
+}
+
+function isVec3Array(v) {
+  return Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+}
+
+function restoreSession(data) {
+  if (isVec3Array(data.lastWorldPosition)) {
+    state.lastWorldPosition.fromArray(data.lastWorldPosition);
+  }
+  if (data.camera) {
+    cameraOrbit.yaw = Number.isFinite(data.camera.yaw) ? data.camera.yaw : cameraOrbit.yaw;
+    cameraOrbit.pitch = Number.isFinite(data.camera.pitch) ? data.camera.pitch : cameraOrbit.pitch;
+  }
+  if (Number.isFinite(data.yaw)) player.yaw = data.yaw;
+
+  if (data.inInterior && data.door) {
+    // Re-enter through the same door so the cached layout matches
+    const info = interiorsManager.enterInteriorFromDoor(data.door);
+    state.currentDoor = data.door;
+    state.currentInteriorName = info.interiorName || data.door.areaName;
+    state.inInterior = true;
+    state.activeScene = 'interior';
+    player.position.copy(info.spawnPosition);
+  } else {
+    state.inInterior = false;
+    state.activeScene = 'world';
+    state.currentDoor = null;
+  }
+  if (isVec3Array(data.position)) {
+    player.position.fromArray(data.position);
+  }
+  player.syncTransform();
+}
+
+// Metadata shown next to a slot and stored in exported files
+function describeSave() {
+  const areaName = state.inInterior
+    ? `Inside: ${state.currentInteriorName}`
+    : worldManager.getAreaNameForPosition(player.position);
+  return { areaName, warSummary: warManager.getStatusSummary() };
+}
+
+function saveFileName(label) {
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'save';
+  return `war-cities-${slug}-${new Date().toISOString().slice(0, 10)}.json`;
+}
+
+// Applies a snapshot to the running game. applySnapshot validates every
+// section first and throws before changing anything if the data is bad.
+function loadSnapshot(snapshot) {
+  saveManager.applySnapshot(snapshot);
+  state.lastAreaName = '';
+  state.lastAreaLabel = '';
+  state.openBaseId = null;
+  UI.hideBasePanel();
+  UI.hideShopPanel();
+  UI.refreshInventoryView(inventory);
+  UI.updateWarStatus(warManager);
+}
+
+// A stored session from another world can't be restored into this one. It is
+// kept as a save slot before autosave replaces it; if that fails, this page
+// doesn't autosave at all rather than lose it.
+let restored = false;
+let autosave = true;
+if (savedSession && savedWorldSeed !== worldSeed) {
+  autosave = keepOtherWorldSession(savedSession);
+} else if (savedSession) {
+  restored = tryRestore(savedSession);
+}
+if (!restored) {
+  // Seed some starter items into the inventory and render UI
+  inventory.addStarterItems();
+  // Default look inspired by the cyber-street vibe screenshot
+  const defaultLook = {
+    gender: 'female',
+    height: 'medium',
+    bodyPreset: 'slim',
+    headPreset: 'sharp',
+    skinTone: 'light',
+    hairStyle: 'long',
+    hairColor: 'red',
+  };
+  characterCustomizer.applyOptions(defaultLook);
+  UI.setCustomizationOptions(defaultLook);
+  inventory.equip('jacket_black');
+  inventory.equip('pants_jeans');
+  inventory.equip('boots_combat');
+}
 UI.refreshInventoryView(inventory);
+arriveFromLink();
+if (autosave) saveManager.startAutosave(30);
+
+function keepOtherWorldSession(snapshot) {
+  const savedAt = new Date(snapshot.savedAt || Date.now()).toLocaleString();
+  const name = `World ${savedWorldSeed}, ${savedAt}`;
+  try {
+    saveManager.storeSlot({ ...snapshot, meta: { ...snapshot.meta, name } });
+    UI.showNotification(
+      `Your session in world ${savedWorldSeed} was kept as save slot "${name}"; starting fresh in world ${worldSeed}.`
+    );
+    return true;
+  } catch (err) {
+    console.error('Failed to keep the other world session', err);
+    UI.showNotification(
+      `Your session in world ${savedWorldSeed} couldn't be kept as a slot, so autosave is off in world ${worldSeed}.`
+    );
+    return false;
+  }
+}
+
+function tryRestore(snapshot) {
+  try {
+    saveManager.applySnapshot(snapshot);
+    UI.showNotification('Welcome back. Your last session was restored.');
+    return true;
+  } catch (err) {
+    console.error('Failed to restore saved session', err);
+    UI.showNotification('Saved session could not be restored, starting fresh.');
+    return false;
+  }
+}
 
 // GAME LOOP -------------------------------------------------------------------
 let lastTime = performance.now();
@@ -275,12 +790,14 @@ function gameLoop(now) {
 
     const clampedDt = Math.min(dt, 0.1); // avoid rare spikes that can destabilize physics
 
+    // No walking while the travel screen is up
+    const travelling = !!state.travel;
     const input = {
-      forward: keys.KeyW,
-      backward: keys.KeyS,
-      left: keys.KeyA,
-      right: keys.KeyD,
-      jump: wantJump,
+      forward: keys.KeyW && !travelling,
+      backward: keys.KeyS && !travelling,
+      left: keys.KeyA && !travelling,
+      right: keys.KeyD && !travelling,
+      jump: wantJump && !travelling,
       camYaw: cameraOrbit.yaw,
     };
     wantJump = false; // consumed this frame
@@ -288,33 +805,101 @@ function gameLoop(now) {
     // Move player and handle collisions
     const collisionFn = state.inInterior
       ? (pos, radius) => interiorsManager.handleCollisions(pos, radius)
-      : (pos, radius) => worldManager.handleCollisions(pos, radius);
+      : (pos, radius, eyeHeight) => {
+          vehicleManager.pushOut(pos, radius);
+          return worldManager.handleCollisions(pos, radius, eyeHeight);
+        };
 
-    player.update(clampedDt, input, collisionFn);
-    player.updateCamera(camera, cameraOrbit);
+    const car = vehicleManager.driven;
+    if (car) {
+      // Same keys, driving controls; the player rides along hidden
+      vehicleManager.drive(
+        clampedDt,
+        {
+          throttle: input.forward,
+          brake: input.backward,
+          steer: (input.left ? 1 : 0) - (input.right ? 1 : 0),
+          handbrake: keys.Space,
+        },
+        (pos, radius, eyeHeight) => worldManager.handleCollisions(pos, radius, eyeHeight)
+      );
+      player.position.set(car.position.x, car.position.y + 1.6, car.position.z);
+      player.syncTransform();
+      player.updateCamera(camera, cameraOrbit, {
+        position: car.position,
+        heading: car.heading,
+        speed: car.speed,
+        dt: clampedDt,
+      });
+      UI.setSpeed(Math.abs(car.speed) * 3.6);
+    } else {
+      player.update(clampedDt, input, collisionFn);
+      player.updateCamera(camera, cameraOrbit);
+    }
 
     // Update world or interiors
     if (!state.inInterior) {
       worldManager.update(player.position);
+      vehicleManager.update();
       npcManager.update(clampedDt, player.position);
 
-      // Update "current area" label
+      if (state.travel) updateFastTravel(clampedDt);
+
+      // Faction jobs finish on arrival (or fail when their target falls)
+      if (standing.update(player.position)) clearJobWaypoint();
+      if (state.openBaseId !== null && !getNearbyBase(player.position)) {
+        UI.hideBasePanel();
+        state.openBaseId = null;
+      }
+
+      // Stations announce themselves as the player walks by
+      const station = worldManager.getNearbyStation(player.position, STATION_DISCOVER_RADIUS);
+      if (station && transit.discover(station)) {
+        UI.showNotification(`Discovered ${station.name}, ${station.cityName}. Press E there to travel.`);
+      }
+
+      // Update "current area" label, with who holds the ground
       const areaName = worldManager.getAreaNameForPosition(player.position);
-      if (areaName !== state.lastAreaName) {
-        state.lastAreaName = areaName;
-        UI.setAreaName(areaName);
+      const cell = worldToWarCell(player.position.x, player.position.z);
+      const holder = warManager.describeControl(cell.x, cell.y);
+      const areaLabel = holder ? `${areaName} — ${holder}` : areaName;
+      state.lastAreaName = areaName;
+      if (areaLabel !== state.lastAreaLabel) {
+        state.lastAreaLabel = areaLabel;
+        UI.setAreaName(areaLabel);
       }
     } else {
       const areaName = `Inside: ${state.currentInteriorName}`;
-      if (areaName !== state.lastAreaName) {
+      if (areaName !== state.lastAreaLabel) {
         state.lastAreaName = areaName;
+        state.lastAreaLabel = areaName;
         UI.setAreaName(areaName);
       }
     }
 
+    // Advance the clock (it keeps running indoors) and relight the world
+    timeOfDay.update(clampedDt);
+    weather.update(clampedDt, state.inInterior ? state.lastWorldPosition : player.position, camera, !state.inInterior);
+    if (!state.inInterior) applyTimeOfDay();
+
     // Advance war simulation
     warManager.update(clampedDt);
+    baseStructures.update(clampedDt);
+    unitProxies.update(clampedDt, state.inInterior ? state.lastWorldPosition : player.position);
     UI.updateWarStatus(warManager);
+    worldMap.update(clampedDt, state.inInterior ? state.lastWorldPosition : player.position, player.yaw);
+
+    // Places and waypoint guidance (outdoors only)
+    if (!state.inInterior) {
+      poiRegistry.update(player.position);
+      const nav = waypointNavigator.update(player.position, window.innerWidth, window.innerHeight);
+      if (nav.arrived) {
+        UI.showNotification(`Arrived at ${nav.waypoint.name}.`);
+        setWaypoint(null);
+        nav.waypoint = null;
+      }
+      UI.updateNavigation(nav);
+    }
 
     // Choose scene and render
     const sceneToRender = state.inInterior ? interiorScene : worldScene;
@@ -333,6 +918,11 @@ requestAnimationFrame(gameLoop);
 
 // INTERACTION HANDLING --------------------------------------------------------
 function handleInteraction() {
+  if (state.travel) return;
+  if (vehicleManager.driven) {
+    leaveVehicle();
+    return;
+  }
   if (state.inInterior) {
     // Try exiting current interior
     const exitInfo = interiorsManager.getNearbyExit(player.position, 2.0);
@@ -342,7 +932,11 @@ function handleInteraction() {
       player.syncTransform();
       state.inInterior = false;
       state.activeScene = 'world';
+      state.currentDoor = null;
+      UI.hideShopPanel();
       UI.showNotification('You step back out onto the street.');
+    } else if (state.currentDoor && state.currentDoor.interiorType === 'shop') {
+      openShopPanel();
     }
     return;
   }
@@ -351,16 +945,49 @@ function handleInteraction() {
   const npc = npcManager.getNearbyNpc(player.position, 2.0);
   if (npc) {
     const areaName = state.lastAreaName || worldManager.getAreaNameForPosition(player.position);
-    const line = npcManager.getNpcDialogue(npc, areaName, warManager);
+    const cell = worldToWarCell(player.position.x, player.position.z);
+    const holderId = warManager.getControlAt(cell.x, cell.y).factionId;
+    const local =
+      holderId === null ? null : { factionName: warManager.factions[holderId].name, attitude: standing.getAttitude(holderId) };
+    const line = npcManager.getNpcDialogue(npc, areaName, warManager, weather.getCurrent(), local);
     UI.showDialog(line);
     return;
   }
 
+  const base = getNearbyBase(player.position);
+  if (base) {
+    openBasePanel(base);
+    return;
+  }
+
+  const station = worldManager.getNearbyStation(player.position, STATION_USE_RADIUS);
+  if (station) {
+    transit.discover(station);
+    UI.showTransitPanel(station, transit.getDestinations(station.id));
+    return;
+  }
+
+  const vehicle = vehicleManager.getNearby(player.position, VEHICLE_ENTER_RADIUS);
+  if (vehicle) {
+    vehicleManager.enter(vehicle);
+    player.group.visible = false;
+    UI.showNotification('W/S: drive and brake | A/D: steer | Space: handbrake | E: get out');
+    return;
+  }
+
   const door = worldManager.getNearbyDoor(player.position, 2.0);
   if (door) {
+    // Shops on hostile ground turn the player away
+    const refused = door.interiorType === 'shop' && standing.getShopBlock(getShopHolder(door));
+    if (refused) {
+      UI.showNotification(refused);
+      return;
+    }
+
     // Enter interior
     state.lastWorldPosition.copy(player.position);
     const info = interiorsManager.enterInteriorFromDoor(door);
+    state.currentDoor = { id: door.id, areaName: door.areaName, interiorType: door.interiorType };
     state.currentInteriorName = info.interiorName || door.areaName;
     state.inInterior = true;
     state.activeScene = 'interior';
@@ -375,4 +1002,238 @@ function handleInteraction() {
 
   // If we had a dialog open and nothing else to interact with, close it
   UI.hideDialog();
+  UI.hideBasePanel();
+}
+
+// Steps out on the driver's side with the orbit camera behind the car
+function leaveVehicle() {
+  const heading = vehicleManager.driven.heading;
+  const exitPos = vehicleManager.exit();
+  player.position.set(exitPos.x, exitPos.y + 1.6, exitPos.z);
+  player.velocityY = 0;
+  player.yaw = heading;
+  player.syncTransform();
+  player.group.visible = true;
+  cameraOrbit.yaw = heading + Math.PI;
+  UI.setSpeed(null);
+}
+
+// FAST TRAVEL -----------------------------------------------------------------
+// Teleports to the station right away, then holds the travel screen until the
+// destination's full-detail chunks have streamed in.
+function startFastTravel(stationId) {
+  const station = transit.get(stationId);
+  if (!station || state.travel || state.inInterior || vehicleManager.driven) return;
+  const blocked = transit.getTravelBlock(station);
+  if (blocked) {
+    UI.showNotification(blocked);
+    return;
+  }
+
+  UI.hideTransitPanel();
+  travelTo(`${station.name}, ${station.cityName}`, station.x, station.y, station.z);
+}
+
+// Teleports outdoors and holds the travel screen until the area has loaded
+function travelTo(label, x, y, z) {
+  UI.hideDialog();
+  UI.showTravelScreen(label);
+  state.travel = { label, elapsed: 0 };
+  player.position.set(x, y + 1.6, z);
+  player.velocityY = 0;
+  player.syncTransform();
+  // Builds the chunk underfoot now and asks the worker for the rest
+  worldManager.update(player.position);
+}
+
+function updateFastTravel(dt) {
+  const travel = state.travel;
+  travel.elapsed += dt;
+  const ready = worldManager.isAreaReady(player.position);
+  UI.setTravelProgress(Math.min(travel.elapsed / TRAVEL_MIN_SECONDS, ready ? 1 : 0.9));
+  if ((ready && travel.elapsed >= TRAVEL_MIN_SECONDS) || travel.elapsed >= TRAVEL_MAX_SECONDS) {
+    state.travel = null;
+    UI.hideTravelScreen();
+    UI.showNotification(`Arrived at ${travel.label}.`);
+  }
+}
+
+// WORLD LINKS -----------------------------------------------------------------
+// ?seed=…&x=…&z=… opens a world at a spot; /link copies one for where the
+// player is standing.
+function currentLink() {
+  const pos = state.inInterior ? state.lastWorldPosition : player.position;
+  const params = new URLSearchParams({ seed: String(worldSeed), x: pos.x.toFixed(1), z: pos.z.toFixed(1) });
+  return `${window.location.origin}${window.location.pathname}?${params}`;
+}
+
+// Moves the player to a linked spot once, then drops x/z from the address bar
+// so a reload resumes the session instead of jumping back
+function arriveFromLink() {
+  const x = Number.parseFloat(pageParams.get('x'));
+  const z = Number.parseFloat(pageParams.get('z'));
+  if (!Number.isFinite(x) || !Number.isFinite(z)) return;
+
+  if (vehicleManager.driven) leaveVehicle();
+  state.inInterior = false;
+  state.activeScene = 'world';
+  state.currentDoor = null;
+  travelTo(worldManager.getAreaNameForPosition({ x, z }), x, worldManager.getGroundHeight(x, z), z);
+
+  const url = new URL(window.location.href);
+  url.searchParams.delete('x');
+  url.searchParams.delete('z');
+  url.searchParams.set('seed', String(worldSeed));
+  window.history.replaceState(null, '', url);
+}
+
+function runChatCommand([command, ...args]) {
+  switch (command.toLowerCase()) {
+    case 'link': {
+      const link = currentLink();
+      const printLink = () => UI.appendChatMessage('System', `Copy this link: ${link}`);
+      // There is no clipboard API outside secure contexts (e.g. plain http)
+      if (!navigator.clipboard?.writeText) {
+        printLink();
+        break;
+      }
+      navigator.clipboard
+        .writeText(link)
+        .then(() => UI.showNotification('Link to this spot copied to the clipboard.'))
+        .catch(printLink);
+      break;
+    }
+    case 'seed':
+      UI.appendChatMessage('System', `World seed: ${worldSeed}`);
+      break;
+    case 'ai':
+      runAiCommand(args);
+      break;
+    default:
+      UI.appendChatMessage('System', `Unknown command /${command}. Try /link, /seed or /ai.`);
+  }
+}
+
+// /ai lists each faction's strategy; /ai <faction> <strategy> swaps one,
+// e.g. "/ai b turtle" (a faction goes by the letter in its name)
+function runAiCommand([factionText, strategyText]) {
+  if (!factionText) {
+    const current = warManager.factions.map((f) => `${f.name}: ${warManager.getStrategyName(f.id)}`);
+    UI.appendChatMessage('System', `${current.join(' | ')}. Strategies: ${Object.keys(STRATEGIES).join(', ')}.`);
+    return;
+  }
+  const faction = warManager.factions.find((f) => f.name.toLowerCase().endsWith(` ${factionText.toLowerCase()}`));
+  if (!faction || !strategyText) {
+    UI.appendChatMessage('System', 'Usage: /ai <faction> <strategy>, e.g. /ai b turtle');
+    return;
+  }
+  const name = strategyText.toLowerCase();
+  const refused = warManager.setStrategy(faction.id, name);
+  UI.appendChatMessage('System', refused || `${faction.name} now plays ${STRATEGIES[name].label.toLowerCase()}.`);
+}
+
+// FACTIONS --------------------------------------------------------------------
+// Bases are run from their flag in the middle of the chunk's crossing; shops
+// answer to whoever holds the ground they stand on.
+function getNearbyBase(pos) {
+  const cell = worldToWarCell(pos.x, pos.z);
+  const base = warManager.getBaseAt(cell.x, cell.y);
+  if (!base) return null;
+  const flag = warCellToWorld(base.x, base.y);
+  return Math.hypot(pos.x - flag.x, pos.z - flag.z) <= BASE_INTERACT_RADIUS ? base : null;
+}
+
+function getSabotageCooldown(base) {
+  const last = state.sabotagedAt.get(base.id);
+  if (last === undefined) return 0;
+  return Math.max(0, SABOTAGE_COOLDOWN_SECONDS - (performance.now() / 1000 - last));
+}
+
+function openBasePanel(base) {
+  const faction = warManager.factions[base.factionId];
+  const cooldown = getSabotageCooldown(base);
+  state.openBaseId = base.id;
+  UI.showBasePanel({
+    baseId: base.id,
+    title: `${faction.name} checkpoint`,
+    info: `${warManager.describeLocation(base.x, base.y)} | integrity ${Math.max(0, Math.round(base.hp))}% | you are ${standing.getAttitude(base.factionId)}`,
+    actions: [
+      { id: 'job', label: 'Ask for a job', blocked: standing.getJobBlock(base) },
+      { id: 'enlist', label: `Enlist with ${faction.name}`, blocked: standing.getEnlistBlock(base.factionId) },
+      {
+        id: 'sabotage',
+        label: 'Sabotage the checkpoint',
+        blocked: standing.getSabotageBlock(base) || (cooldown > 0 ? `Guards are alert. Try again in ${Math.ceil(cooldown)} s.` : null),
+      },
+    ],
+  });
+}
+
+function runBaseAction(action, baseId) {
+  const base = warManager.bases.find((b) => b.id === baseId);
+  if (!base) {
+    UI.hideBasePanel();
+    return;
+  }
+  if (action === 'job') {
+    const job = standing.takeJob(base);
+    if (job) {
+      setWaypoint(jobWaypoint(standing.getJobTarget()));
+      UI.showNotification(`New job: ${job.label}. Pays ${job.pay} credits.`);
+    }
+  } else if (action === 'enlist') {
+    const refused = standing.enlist(base.factionId);
+    if (refused) UI.showNotification(refused);
+  } else if (action === 'sabotage' && getSabotageCooldown(base) === 0 && standing.recordSabotage(base)) {
+    state.sabotagedAt.set(base.id, performance.now() / 1000);
+    warManager.sabotageBase(base.id, SABOTAGE_DAMAGE);
+  }
+  if (warManager.bases.includes(base)) openBasePanel(base);
+  else UI.hideBasePanel();
+}
+
+function jobWaypoint(target) {
+  return { poiId: 'job', name: target.name, x: target.x, y: worldManager.getGroundHeight(target.x, target.z), z: target.z };
+}
+
+function clearJobWaypoint() {
+  const current = waypointNavigator.get();
+  if (current && current.poiId === 'job') setWaypoint(null);
+}
+
+// Faction holding a shop door's ground (null: unclaimed)
+function getShopHolder(pos) {
+  const cell = worldToWarCell(pos.x, pos.z);
+  return warManager.getControlAt(cell.x, cell.y).factionId;
+}
+
+function openShopPanel() {
+  const holderId = getShopHolder(state.lastWorldPosition);
+  const refused = standing.getShopBlock(holderId);
+  if (refused) {
+    UI.hideShopPanel();
+    UI.showNotification(refused);
+    return;
+  }
+  UI.showShopPanel({
+    title: state.currentInteriorName,
+    info: holderId === null ? 'Independent' : `Run under ${warManager.factions[holderId].name}`,
+    credits: standing.credits,
+    stock: standing.getShopStock(holderId).map((entry) => ({ ...entry, owned: inventory.hasItem(entry.item.id) })),
+  });
+}
+
+function buyFromShop(itemId) {
+  const holderId = getShopHolder(state.lastWorldPosition);
+  const entry = standing.getShopStock(holderId).find((e) => e.item.id === itemId);
+  if (!entry || inventory.hasItem(itemId)) return;
+  const refused = standing.buy(entry, holderId);
+  if (refused) {
+    UI.showNotification(refused);
+  } else {
+    inventory.addItem(entry.item);
+    UI.refreshInventoryView(inventory);
+    UI.showNotification(`Bought ${entry.item.name}.`);
+  }
+  openShopPanel();
 }
@@ -0,0 +1,396 @@
+// map.js
+// -----------------------------------------------------------------------------
+// HUD minimap and full-screen world map, drawn on 2D canvases.
+// - Chunks the world has built are "charted": their descriptor is boiled down
+//   to roads, building footprints and doors in world coordinates and kept
+//   after the chunk unloads, so explored ground stays on the map. The
+//   CHART_LIMIT most recently charted chunks are kept.
+// - Everything else is predicted from the district map (chunk type and
+//   names come straight from the generator, without building anything) and
+//   drawn as faded ground of the right type. A zoomed-out view predicts
+//   one chunk per block of chunks, so no redraw asks for more than
+//   PREDICT_LIMIT chunks and the district cache isn't flushed every time.
+// - Both views are north-up (-Z at the top) and centred on the player, with
+//   an arrow for the player's heading. War territory is tinted and war
+//   bases drawn in their faction's colour (contested cells are striped), and
+//   the waypoint (if any) as a diamond, pinned to the minimap's edge when
+//   it's out of range.
+// - The full map labels cities and, when zoomed in, districts; the mouse
+//   wheel zooms it.
+// -----------------------------------------------------------------------------
+
+import { CHUNK_SIZE, chunkCoord } from './worldgen.js';
+import { warCellToWorld } from './war.js';
+
+const MINIMAP_SCALE = 1; // pixels per metre
+const MINIMAP_INTERVAL = 0.1; // seconds between minimap redraws
+const FULLMAP_INTERVAL = 0.5; // seconds between full map redraws while open
+const FULLMAP_ZOOM = { min: 20, max: 96, initial: 32 }; // pixels per chunk
+
+const TYPE_COLORS = {
+  city: '#3a3f4c',
+  suburb: '#35403a',
+  park: '#26472c',
+  highway: '#34343c',
+  wasteland: '#4a4330',
+};
+const ROAD_COLORS = { street: '#8a8f9c', path: '#6d7560', highway: '#c0b070', ramp: '#a89c66' };
+const BUILDING_COLOR = '#6b7488';
+const DOOR_COLOR = '#6cf1ff';
+const WAYPOINT_COLOR = '#ffd24a';
+const PREDICTED_ALPHA = 0.4;
+const CONTROL_ALPHA = 0.18; // territory tint over the ground
+const CONTESTED_STRIPE_ALPHA = 0.45;
+const CHART_LIMIT = 2048; // charted chunks kept; the oldest unloaded ones go first
+const PREDICT_LIMIT = 1500; // predicted chunks per redraw, well under the district cache
+
+export class WorldMap {
+  constructor(worldManager, warManager, { minimapCanvas, fullMapCanvas }) {
+    this.worldManager = worldManager;
+    this.warManager = warManager;
+    this.minimap = minimapCanvas;
+    this.minimapCtx = minimapCanvas.getContext('2d');
+    this.fullMap = fullMapCanvas;
+    this.fullMapCtx = fullMapCanvas.getContext('2d');
+    this.fullMapOpen = false;
+    this.zoom = FULLMAP_ZOOM.initial;
+    this.waypoint = null; // { x, z }
+
+    this.charted = new Map(); // chunk key -> summary (see _chart)
+    this.minimapTimer = 0;
+    this.fullMapTimer = 0;
+
+    this.fullMap.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const factor = e.deltaY < 0 ? 1.2 : 1 / 1.2;
+      this.zoom = Math.min(FULLMAP_ZOOM.max, Math.max(FULLMAP_ZOOM.min, this.zoom * factor));
+      this.fullMapTimer = FULLMAP_INTERVAL; // redraw on the next update
+    });
+  }
+
+  setFullMapVisible(open) {
+    this.fullMapOpen = open;
+    this.fullMapTimer = FULLMAP_INTERVAL;
+  }
+
+  setWaypoint(waypoint) {
+    this.waypoint = waypoint;
+  }
+
+  // heading: the player's yaw (facing +Z at 0)
+  update(dt, playerPos, heading) {
+    this._chartLoadedChunks();
+
+    this.minimapTimer += dt;
+    if (this.minimapTimer >= MINIMAP_INTERVAL) {
+      this.minimapTimer = 0;
+      this._drawMinimap(playerPos, heading);
+    }
+
+    if (!this.fullMapOpen) return;
+    this.fullMapTimer += dt;
+    if (this.fullMapTimer >= FULLMAP_INTERVAL) {
+      this.fullMapTimer = 0;
+      this._drawFullMap(playerPos, heading);
+    }
+  }
+
+  // CHARTING ------------------------------------------------------------------
+  _chartLoadedChunks() {
+    let added = false;
+    for (const [key, chunk] of this.worldManager.chunks) {
+      if (this.charted.has(key)) continue;
+      this.charted.set(key, this._chart(chunk.data));
+      added = true;
+    }
+    if (!added || this.charted.size <= CHART_LIMIT) return;
+    // Maps keep insertion order, so the first keys were charted longest ago
+    for (const key of this.charted.keys()) {
+      if (this.charted.size <= CHART_LIMIT) break;
+      if (!this.worldManager.chunks.has(key)) this.charted.delete(key);
+    }
+  }
+
+  // Just what the map draws, in world coordinates
+  _chart(data) {
+    const originX = data.cx * CHUNK_SIZE;
+    const originZ = data.cz * CHUNK_SIZE;
+    const nodeById = new Map(data.roads.nodes.map((n) => [n.id, n]));
+    const roads = [];
+    for (const edge of data.roads.edges) {
+      const a = nodeById.get(edge.a);
+      const b = nodeById.get(edge.b);
+      if (a && b) roads.push({ kind: edge.kind, width: edge.width, x0: a.x, z0: a.z, x1: b.x, z1: b.z });
+    }
+    return {
+      cx: data.cx,
+      cz: data.cz,
+      type: data.type,
+      roads,
+      buildings: data.buildings.map((b) => ({
+        x: originX + b.x - b.width / 2,
+        z: originZ + b.z - b.depth / 2,
+        width: b.width,
+        depth: b.depth,
+      })),
+      doors: data.doors.map((d) => ({ x: d.x, z: d.z })),
+    };
+  }
+
+  // DRAWING -------------------------------------------------------------------
+  // A view maps world (x, z) to canvas pixels around the player
+  _makeView(canvas, playerPos, scale) {
+    // Chunk range covering the canvas
+    const minCx = chunkCoord(playerPos.x - canvas.width / 2 / scale);
+    const maxCx = chunkCoord(playerPos.x + canvas.width / 2 / scale);
+    const minCz = chunkCoord(playerPos.z - canvas.height / 2 / scale);
+    const maxCz = chunkCoord(playerPos.z + canvas.height / 2 / scale);
+    const cells = (maxCx - minCx + 1) * (maxCz - minCz + 1);
+    return {
+      width: canvas.width,
+      height: canvas.height,
+      scale,
+      toX: (x) => canvas.width / 2 + (x - playerPos.x) * scale,
+      toY: (z) => canvas.height / 2 + (z - playerPos.z) * scale,
+      minCx,
+      maxCx,
+      minCz,
+      maxCz,
+      // Side of the chunk blocks that share one prediction
+      predictStep: Math.max(1, Math.ceil(Math.sqrt(cells / PREDICT_LIMIT))),
+    };
+  }
+
+  // District info standing in for a chunk that isn't charted. Blocks are
+  // aligned to the grid so panning keeps asking for the same chunks.
+  _predict(view, cx, cz) {
+    const step = view.predictStep;
+    return this.worldManager.getDistrictInfo(Math.floor(cx / step) * step, Math.floor(cz / step) * step);
+  }
+
+  _drawMinimap(playerPos, heading) {
+    const ctx = this.minimapCtx;
+    const view = this._makeView(this.minimap, playerPos, MINIMAP_SCALE);
+    ctx.fillStyle = '#05070b';
+    ctx.fillRect(0, 0, view.width, view.height);
+    this._drawChunks(ctx, view, true);
+    this._drawControl(ctx, view);
+    this._drawBases(ctx, view, 5);
+    this._drawWaypoint(ctx, view, 5);
+    this._drawPlayer(ctx, view.width / 2, view.height / 2, heading, 7);
+  }
+
+  _drawFullMap(playerPos, heading) {
+    // Match the backing store to the on-screen size so the map stays crisp
+    const rect = this.fullMap.getBoundingClientRect();
+    if (rect.width > 0 && (this.fullMap.width !== Math.round(rect.width) || this.fullMap.height !== Math.round(rect.height))) {
+      this.fullMap.width = Math.round(rect.width);
+      this.fullMap.height = Math.round(rect.height);
+    }
+
+    const ctx = this.fullMapCtx;
+    const view = this._makeView(this.fullMap, playerPos, this.zoom / CHUNK_SIZE);
+    ctx.fillStyle = '#05070b';
+    ctx.fillRect(0, 0, view.width, view.height);
+    // Street detail only pays off once chunks are big enough to read
+    this._drawChunks(ctx, view, this.zoom >= 48);
+    this._drawControl(ctx, view);
+    this._drawLabels(ctx, view);
+    this._drawBases(ctx, view, 7);
+    this._drawWaypoint(ctx, view, 7);
+    this._drawPlayer(ctx, view.width / 2, view.height / 2, heading, 9);
+    this._drawLegend(ctx, view);
+  }
+
+  _drawChunks(ctx, view, detailed) {
+    const size = CHUNK_SIZE * view.scale;
+    for (let cz = view.minCz; cz <= view.maxCz; cz++) {
+      for (let cx = view.minCx; cx <= view.maxCx; cx++) {
+        const x = view.toX(cx * CHUNK_SIZE - CHUNK_SIZE / 2);
+        const y = view.toY(cz * CHUNK_SIZE - CHUNK_SIZE / 2);
+        const chart = this.charted.get(`${cx},${cz}`);
+        const type = chart ? chart.type : this._predict(view, cx, cz).type;
+        ctx.globalAlpha = chart ? 1 : PREDICTED_ALPHA;
+        ctx.fillStyle = TYPE_COLORS[type] ?? TYPE_COLORS.city;
+        ctx.fillRect(x, y, size + 0.5, size + 0.5);
+        ctx.globalAlpha = 1;
+        if (chart) this._drawChart(ctx, view, chart, detailed);
+      }
+    }
+  }
+
+  _drawChart(ctx, view, chart, detailed) {
+    ctx.lineCap = 'round';
+    for (const road of chart.roads) {
+      if (!detailed && road.kind === 'path') continue;
+      ctx.strokeStyle = ROAD_COLORS[road.kind] ?? ROAD_COLORS.street;
+      ctx.lineWidth = Math.max(1, road.width * view.scale);
+      ctx.beginPath();
+      ctx.moveTo(view.toX(road.x0), view.toY(road.z0));
+      ctx.lineTo(view.toX(road.x1), view.toY(road.z1));
+      ctx.stroke();
+    }
+    if (!detailed) return;
+    ctx.fillStyle = BUILDING_COLOR;
+    for (const b of chart.buildings) {
+      ctx.fillRect(view.toX(b.x), view.toY(b.z), b.width * view.scale, b.depth * view.scale);
+    }
+    ctx.fillStyle = DOOR_COLOR;
+    for (const d of chart.doors) {
+      ctx.fillRect(view.toX(d.x) - 1, view.toY(d.z) - 1, 2, 2);
+    }
+  }
+
+  // City names over the middle of their visible chunks; districts as well
+  // once zoomed in far enough to fit them
+  _drawLabels(ctx, view) {
+    const cities = new Map();
+    const districts = new Map();
+    const add = (groups, name, cx, cz) => {
+      const group = groups.get(name) || { name, sumX: 0, sumZ: 0, count: 0 };
+      group.sumX += cx;
+      group.sumZ += cz;
+      group.count++;
+      groups.set(name, group);
+    };
+    for (let cz = view.minCz; cz <= view.maxCz; cz++) {
+      for (let cx = view.minCx; cx <= view.maxCx; cx++) {
+        const info = this._predict(view, cx, cz);
+        add(cities, info.cityName, cx, cz);
+        add(districts, info.areaName, cx, cz);
+      }
+    }
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = '#000';
+    ctx.shadowBlur = 4;
+    if (this.zoom >= 40) {
+      ctx.font = '11px "Segoe UI", sans-serif';
+      ctx.fillStyle = 'rgba(220, 228, 240, 0.75)';
+      for (const group of districts.values()) {
+        if (group.count < 2) continue; // slivers at the map edge
+        const label = group.name.split(',')[0];
+        ctx.fillText(label, view.toX((group.sumX / group.count) * CHUNK_SIZE), view.toY((group.sumZ / group.count) * CHUNK_SIZE) + 14);
+      }
+    }
+    ctx.font = 'bold 15px "Segoe UI", sans-serif';
+    ctx.fillStyle = '#e6ecf5';
+    for (const group of cities.values()) {
+      if (group.count < 4) continue;
+      ctx.fillText(group.name, view.toX((group.sumX / group.count) * CHUNK_SIZE), view.toY((group.sumZ / group.count) * CHUNK_SIZE));
+    }
+    ctx.shadowBlur = 0;
+  }
+
+  // Territory tint: held cells in their faction's colour, contested cells
+  // striped on top
+  _drawControl(ctx, view) {
+    if (!this.warManager) return;
+    const size = CHUNK_SIZE * view.scale;
+    const stripeGap = Math.max(6, size / 6);
+    for (let cz = view.minCz; cz <= view.maxCz; cz++) {
+      for (let cx = view.minCx; cx <= view.maxCx; cx++) {
+        const control = this.warManager.getControlAt(cx, cz);
+        if (control.factionId === null) continue;
+        const x = view.toX(cx * CHUNK_SIZE - CHUNK_SIZE / 2);
+        const y = view.toY(cz * CHUNK_SIZE - CHUNK_SIZE / 2);
+        ctx.globalAlpha = CONTROL_ALPHA;
+        ctx.fillStyle = this.warManager.factions[control.factionId].color;
+        ctx.fillRect(x, y, size + 0.5, size + 0.5);
+        if (control.contested) {
+          ctx.save();
+          ctx.beginPath();
+          ctx.rect(x, y, size, size);
+          ctx.clip();
+          ctx.globalAlpha = CONTESTED_STRIPE_ALPHA;
+          ctx.strokeStyle = this.warManager.factions[control.rivalIds[0]].color;
+          ctx.lineWidth = stripeGap / 2.5;
+          ctx.beginPath();
+          for (let d = 0; d < size * 2; d += stripeGap) {
+            ctx.moveTo(x + d, y);
+            ctx.lineTo(x + d - size, y + size);
+          }
+          ctx.stroke();
+          ctx.restore();
+        }
+        ctx.globalAlpha = 1;
+      }
+    }
+  }
+
+  _drawBases(ctx, view, radius) {
+    if (!this.warManager) return;
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = '#05070b';
+    for (const base of this.warManager.bases) {
+      const faction = this.warManager.factions[base.factionId];
+      const pos = warCellToWorld(base.x, base.y);
+      const x = view.toX(pos.x);
+      const y = view.toY(pos.z);
+      if (x < -radius || y < -radius || x > view.width + radius || y > view.height + radius) continue;
+      ctx.fillStyle = faction ? faction.color : '#ffffff';
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+  }
+
+  _drawWaypoint(ctx, view, size) {
+    if (!this.waypoint) return;
+    const margin = size + 2;
+    const x = Math.min(view.width - margin, Math.max(margin, view.toX(this.waypoint.x)));
+    const y = Math.min(view.height - margin, Math.max(margin, view.toY(this.waypoint.z)));
+    ctx.fillStyle = WAYPOINT_COLOR;
+    ctx.strokeStyle = '#05070b';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(x, y - size);
+    ctx.lineTo(x + size, y);
+    ctx.lineTo(x, y + size);
+    ctx.lineTo(x - size, y);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  // Arrow along the heading; yaw 0 faces +Z, which is down on the map
+  _drawPlayer(ctx, x, y, heading, size) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(Math.atan2(Math.cos(heading), Math.sin(heading)));
+    ctx.fillStyle = '#ffffff';
+    ctx.strokeStyle = '#05070b';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(size, 0);
+    ctx.lineTo(-size * 0.7, size * 0.6);
+    ctx.lineTo(-size * 0.35, 0);
+    ctx.lineTo(-size * 0.7, -size * 0.6);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  _drawLegend(ctx, view) {
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.font = '12px "Segoe UI", sans-serif';
+    let y = view.height - 16;
+    for (const faction of [...(this.warManager ? this.warManager.factions : [])].reverse()) {
+      ctx.fillStyle = faction.color;
+      ctx.beginPath();
+      ctx.arc(18, y, 5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#e6ecf5';
+      ctx.fillText(`${faction.name} base`, 30, y);
+      y -= 18;
+    }
+    ctx.fillStyle = 'rgba(230, 236, 245, 0.6)';
+    ctx.fillText('Tint: faction territory, striped: contested', 12, y);
+    y -= 18;
+    ctx.fillText('Faded ground: not yet explored', 12, y);
+  }
+}
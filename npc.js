@@ -3,7 +3,9 @@
 // Friendly city NPCs:
 // - Simple roaming boxes that wander around the city streets.
 // - Player can press E near an NPC to see a short dialogue line.
-// - NPCs occasionally reference war events or nearby areas.
+// - NPCs occasionally reference war events, nearby areas or the weather.
+// - They side with whoever holds their ground: warm to the player when the
+//   player stands well with that faction, cold when the player is hostile.
 // -----------------------------------------------------------------------------
 
 import { loadThree } from './three-loader.js';
@@ -11,13 +13,42 @@ import { Random } from './utils.js';
 import { CHUNK_SIZE } from './world.js';
 
 const THREE = await loadThree();
+
+// Small talk about the weather NPCs are standing in
+const WEATHER_LINES = {
+  clear: (area) => `Clear skies over ${area} for once. Won't last.`,
+  overcast: () => `Sky's been grey all day. Feels like it's waiting for something.`,
+  rain: () => `This rain gets into everything. Find a doorway if you can.`,
+  storm: () => `Coming down hard out here. Nobody's patrolling in this.`,
+  fog: () => `Can't see past the next block in this fog. Keep your voice down.`,
+  dust: () => `Dust is blowing in off the wastes again. Cover your face.`,
+  ash: () => `That's ash, not snow. Something out there is still burning.`,
+};
+
+// What locals say given the player's standing with the faction holding the
+// ground. Hostile locals won't make small talk at all.
+const ATTITUDE_LINES = {
+  allied: [
+    (faction, area) => `You're with ${faction}? Then you're welcome in ${area}.`,
+    (faction) => `Good to see ${faction} colours on the street. We sleep easier.`,
+  ],
+  friendly: [
+    (faction) => `${faction} speaks well of you. That counts for a lot around here.`,
+    (faction) => `The ${faction} checkpoint pays for runners, if you need the credits.`,
+  ],
+  hostile: [
+    (faction) => `This is ${faction} ground. People like you should keep walking.`,
+    (faction) => `I've heard what you did to ${faction}. Don't talk to me.`,
+  ],
+};
 
 export class NpcManager {
-  constructor(scene, nameGen, warManager) {
+  constructor(scene, nameGen, warManager, worldManager, seed = 555) {
     this.scene = scene;
     this.nameGen = nameGen;
     this.warManager = warManager;
-    this.random = new Random(555);
+    this.worldManager = worldManager; // for terrain height under each NPC
+    this.random = new Random(seed);
 
     this.npcs = [];
     this._spawnInitialNpcs();
@@ -79,9 +110,12 @@ export class NpcManager {
         Math.min(r, npc.mesh.position.z)
       );
 
-      // Idle bobbing
+      // Follow the terrain, with idle bobbing
+      const groundY = this.worldManager
+        ? this.worldManager.getGroundHeight(npc.mesh.position.x, npc.mesh.position.z)
+        : 0;
       const t = performance.now() / 400;
-      npc.mesh.position.y = 1.0 + Math.sin(t + npc.mesh.position.x) * 0.03;
+      npc.mesh.position.y = groundY + 1.0 + Math.sin(t + npc.mesh.position.x) * 0.03;
     }
   }
 
@@ -100,12 +134,23 @@ export class NpcManager {
     return best;
   }
 
-  getNpcDialogue(npc, areaName, warManager) {
+  // weather: optional { type, label } from WeatherSystem.getCurrent()
+  // local: optional { factionName, attitude } for the faction holding the
+  // ground and the player's attitude with it (see FactionStanding)
+  getNpcDialogue(npc, areaName, warManager, weather = null, local = null) {
+    const attitudeLines = local ? ATTITUDE_LINES[local.attitude] : null;
+    if (local && local.attitude === 'hostile') {
+      const line = attitudeLines[this.random.int(0, attitudeLines.length - 1)];
+      return `${npc.name}: "${line(local.factionName, areaName)}"`;
+    }
     const genericLines = [
       `Welcome to ${areaName}. Watch your step — the highways can be rough.`,
       `I grew up here in ${areaName}. It looked very different back then.`,
       `You look new. Try the shops around the main road, they still have power.`,
     ];
+    const weatherLine = weather && WEATHER_LINES[weather.type];
+    if (weatherLine) genericLines.push(weatherLine(areaName));
+    for (const line of attitudeLines || []) genericLines.push(line(local.factionName, areaName));
     const event = warManager.getRandomRecentEvent();
     if (event && Math.random() > 0.4) {
       return `${npc.name}: "${event}"`;
@@ -0,0 +1,104 @@
+// poi.js
+// -----------------------------------------------------------------------------
+// Searchable registry of points of interest (building doors: shops, offices;
+// transit stations).
+// - Loaded chunks are indexed straight from their descriptors and marked
+//   explored.
+// - Chunks around the player that haven't loaded yet are predicted by running
+//   the world generator on the main thread, nearest first and under a small
+//   per-frame time budget, so a search can find places the player has never
+//   been. Layout is deterministic, so a predicted POI is exactly where the
+//   real door will be once its chunk streams in.
+// - search() matches every word of the query against the POI's name, kind
+//   and district, and returns hits nearest first.
+// -----------------------------------------------------------------------------
+
+import { CHUNK_SIZE, chunkCoord } from './worldgen.js';
+
+const POI_INDEX_RADIUS = 6; // chunks around the player kept predicted
+const POI_INDEX_BUDGET_MS = 2; // main-thread time per frame for predictions
+const DEFAULT_SEARCH_LIMIT = 20;
+
+export class PoiRegistry {
+  constructor(worldManager) {
+    this.worldManager = worldManager;
+    this.chunks = new Map(); // chunk key -> { explored, pois }
+    this.byId = new Map(); // poi id -> poi
+
+    // Offsets within the index radius, nearest first
+    this.offsets = [];
+    for (let dz = -POI_INDEX_RADIUS; dz <= POI_INDEX_RADIUS; dz++) {
+      for (let dx = -POI_INDEX_RADIUS; dx <= POI_INDEX_RADIUS; dx++) this.offsets.push({ dx, dz });
+    }
+    this.offsets.sort((a, b) => Math.hypot(a.dx, a.dz) - Math.hypot(b.dx, b.dz));
+  }
+
+  update(playerPos) {
+    for (const [key, chunk] of this.worldManager.chunks) {
+      const entry = this.chunks.get(key);
+      if (entry) entry.explored = true;
+      else this._index(chunk.data, true);
+    }
+
+    const cx = chunkCoord(playerPos.x);
+    const cz = chunkCoord(playerPos.z);
+    const start = performance.now();
+    for (const { dx, dz } of this.offsets) {
+      if (this.chunks.has(`${cx + dx},${cz + dz}`)) continue;
+      this._index(this.worldManager.generator.generateChunk(cx + dx, cz + dz), false);
+      if (performance.now() - start > POI_INDEX_BUDGET_MS) break;
+    }
+  }
+
+  _index(data, explored) {
+    const districtName = this.worldManager.getAreaNameForChunk(data.cx, data.cz);
+    const pois = data.doors.map((door) => ({
+      id: door.id,
+      name: door.areaName,
+      kind: door.interiorType,
+      x: door.x,
+      y: door.y,
+      z: door.z,
+      chunkKey: data.key,
+      districtName,
+    }));
+    if (data.station) {
+      const { id, name, x, y, z } = data.station;
+      pois.push({ id, name, kind: 'station', x, y, z, chunkKey: data.key, districtName });
+    }
+    this.chunks.set(data.key, { explored, pois });
+    for (const poi of pois) this.byId.set(poi.id, poi);
+  }
+
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  isExplored(poi) {
+    const entry = this.chunks.get(poi.chunkKey);
+    return !!entry && entry.explored;
+  }
+
+  // Hits as { poi, distance, explored }, nearest to `from` first.
+  // kind: 'any', an interior type ('shop', 'office') or 'station'.
+  search(query, { kind = 'any', from = null, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const hits = [];
+    for (const { explored, pois } of this.chunks.values()) {
+      for (const poi of pois) {
+        if (kind !== 'any' && poi.kind !== kind) continue;
+        const text = `${poi.name} ${poi.kind} ${poi.districtName}`.toLowerCase();
+        if (!words.every((w) => text.includes(w))) continue;
+        const distance = from ? Math.hypot(poi.x - from.x, poi.z - from.z) : 0;
+        hits.push({ poi, distance, explored });
+      }
+    }
+    hits.sort((a, b) => a.distance - b.distance);
+    return hits.slice(0, limit);
+  }
+
+  // How far from the player predictions reach, for UI hints
+  getIndexRadiusMeters() {
+    return POI_INDEX_RADIUS * CHUNK_SIZE;
+  }
+}
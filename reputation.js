@@ -0,0 +1,282 @@
+// reputation.js
+// -----------------------------------------------------------------------------
+// The player's standing with the war's factions.
+// - Reputation per faction runs from -100 to 100. Jobs done for a faction
+//   raise it (and annoy its rivals a little), sabotaging a faction's base
+//   sinks it (and pleases its rivals), and buying in shops on a faction's
+//   ground nudges it up.
+// - Attitude follows from reputation: hostile below HOSTILE_REPUTATION,
+//   friendly from FRIENDLY_REPUTATION, neutral in between, and "allied" for
+//   the faction the player has enlisted with.
+// - Enlisting happens at one of the faction's bases and needs a little
+//   reputation first; rivals resent it. Leaving again is desertion.
+// - Jobs are offered at a faction's bases: a supply run to another of its
+//   bases, or scouting an enemy base when it has no other. Only one job at a
+//   time; it fails if the target base falls.
+// - Credits are paid for jobs and spent in shops (see getShopStock).
+// - Changes are published to subscribers; the whole standing is saved.
+// -----------------------------------------------------------------------------
+
+import { warCellToWorld } from './war.js';
+
+const MAX_REPUTATION = 100;
+const FRIENDLY_REPUTATION = 25;
+const HOSTILE_REPUTATION = -25;
+const ENLIST_REPUTATION = 10; // a job or two before a faction takes you in
+const JOB_REPUTATION = 15;
+const JOB_RIVAL_PENALTY = 5;
+const SABOTAGE_PENALTY = 25;
+const SABOTAGE_RIVAL_BONUS = 8;
+const TRADE_REPUTATION = 2;
+const ENLIST_RIVAL_PENALTY = 15;
+const DESERTION_PENALTY = 40;
+const JOB_ARRIVAL_RADIUS = 10; // metres from the target base's flag
+const JOB_BASE_PAY = 30;
+const STARTING_CREDITS = 50;
+
+// Shop stock. Common goods sell anywhere that will serve the player; faction
+// gear (coloured in the faction's colour) needs a friendly or allied
+// standing with the faction holding the shop's ground.
+const COMMON_STOCK = [
+  { id: 'scarf_grey', name: 'Grey Scarf', slot: 'accessory', color: 0x777777, price: 15 },
+  { id: 'cap_orange', name: 'Orange Cap', slot: 'head', color: 0xcc6622, price: 20 },
+  { id: 'hoodie_navy', name: 'Navy Hoodie', slot: 'torso', color: 0x1a2a4a, price: 35 },
+];
+const FACTION_GEAR = [
+  { key: 'armband', name: 'Armband', slot: 'accessory', price: 25 },
+  { key: 'beret', name: 'Beret', slot: 'head', price: 30 },
+  { key: 'fatigues', name: 'Fatigues', slot: 'torso', price: 60 },
+];
+
+export class FactionStanding {
+  // onEvent(message) reports what happened, for notifications
+  constructor(warManager, onEvent) {
+    this.warManager = warManager;
+    this.onEvent = onEvent || (() => {});
+    this.reputation = warManager.factions.map(() => 0);
+    this.allegiance = null; // faction id the player has enlisted with
+    this.credits = STARTING_CREDITS;
+    this.job = null; // { kind, factionId, targetBaseId, label, pay }
+    this.listeners = [];
+  }
+
+  // listener(standing) after every change
+  subscribe(listener) {
+    this.listeners.push(listener);
+  }
+
+  _changed() {
+    for (const listener of this.listeners) listener(this);
+  }
+
+  getReputation(factionId) {
+    return this.reputation[factionId] ?? 0;
+  }
+
+  // 'allied' | 'friendly' | 'neutral' | 'hostile'
+  getAttitude(factionId) {
+    if (factionId === null || factionId === undefined) return 'neutral';
+    if (factionId === this.allegiance) return 'allied';
+    const rep = this.getReputation(factionId);
+    if (rep >= FRIENDLY_REPUTATION) return 'friendly';
+    if (rep <= HOSTILE_REPUTATION) return 'hostile';
+    return 'neutral';
+  }
+
+  _adjust(factionId, delta) {
+    const rep = this.getReputation(factionId) + delta;
+    this.reputation[factionId] = Math.max(-MAX_REPUTATION, Math.min(MAX_REPUTATION, rep));
+  }
+
+  _adjustRivals(factionId, delta) {
+    for (const f of this.warManager.factions) {
+      if (f.id !== factionId) this._adjust(f.id, delta);
+    }
+  }
+
+  _name(factionId) {
+    return this.warManager.factions[factionId].name;
+  }
+
+  // ENLISTING -------------------------------------------------------------------
+  // Why the player can't enlist with a faction right now, or null
+  getEnlistBlock(factionId) {
+    if (this.allegiance === factionId) return `You already serve ${this._name(factionId)}.`;
+    if (this.allegiance !== null) return `You serve ${this._name(this.allegiance)}. Leave them first.`;
+    if (this.getReputation(factionId) < ENLIST_REPUTATION) {
+      return `${this._name(factionId)} doesn't know you yet. Do a job for them first.`;
+    }
+    return null;
+  }
+
+  enlist(factionId) {
+    const blocked = this.getEnlistBlock(factionId);
+    if (blocked) return blocked;
+    this.allegiance = factionId;
+    this.reputation[factionId] = Math.max(this.getReputation(factionId), FRIENDLY_REPUTATION);
+    this._adjustRivals(factionId, -ENLIST_RIVAL_PENALTY);
+    this.onEvent(`You enlisted with ${this._name(factionId)}.`);
+    this._changed();
+    return null;
+  }
+
+  desert() {
+    if (this.allegiance === null) return;
+    const factionId = this.allegiance;
+    this.allegiance = null;
+    this._adjust(factionId, -DESERTION_PENALTY);
+    if (this.job && this.job.factionId === factionId) this.job = null;
+    this.onEvent(`You deserted ${this._name(factionId)}. They won't forget it.`);
+    this._changed();
+  }
+
+  // JOBS ------------------------------------------------------------------------
+  // Why a base can't hand out a job right now, or null
+  getJobBlock(base) {
+    if (this.job) return 'Finish your current job first.';
+    if (this.getAttitude(base.factionId) === 'hostile') return `${this._name(base.factionId)} won't work with you.`;
+    return null;
+  }
+
+  // Offers a job from `base`: supply its nearest sister base, or scout the
+  // nearest enemy base if it has none. Returns the job or null.
+  takeJob(base) {
+    if (this.getJobBlock(base)) return null;
+    const dist = (b) => Math.hypot(b.x - base.x, b.y - base.y);
+    const nearest = (list) => list.sort((a, b) => dist(a) - dist(b))[0] || null;
+    const sister = nearest(this.warManager.bases.filter((b) => b.factionId === base.factionId && b.id !== base.id));
+    const enemy = nearest(this.warManager.bases.filter((b) => b.factionId !== base.factionId));
+    const target = sister || enemy;
+    if (!target) return null;
+
+    const place = this.warManager.describeLocation(target.x, target.y);
+    this.job = {
+      kind: sister ? 'supply' : 'scout',
+      factionId: base.factionId,
+      targetBaseId: target.id,
+      label: sister ? `Run supplies to the base near ${place}` : `Scout the enemy base near ${place}`,
+      pay: JOB_BASE_PAY + Math.round(dist(target) * 5),
+    };
+    this._changed();
+    return this.job;
+  }
+
+  // World position of the job's target base, or null once it's gone
+  getJobTarget() {
+    if (!this.job) return null;
+    const base = this.warManager.bases.find((b) => b.id === this.job.targetBaseId);
+    if (!base) return null;
+    const pos = warCellToWorld(base.x, base.y);
+    return { name: this.job.label, x: pos.x, y: 0, z: pos.z };
+  }
+
+  abandonJob() {
+    if (!this.job) return;
+    this.job = null;
+    this._changed();
+  }
+
+  // Checks the job against the player's position: 'completed', 'failed' or
+  // null while it's still running
+  update(playerPos) {
+    const job = this.job;
+    if (!job) return null;
+    const target = this.getJobTarget();
+    if (!target) {
+      this.job = null;
+      this.onEvent(`Job failed: the target base has fallen. (${job.label})`);
+      this._changed();
+      return 'failed';
+    }
+    if (Math.hypot(target.x - playerPos.x, target.z - playerPos.z) > JOB_ARRIVAL_RADIUS) return null;
+
+    this.job = null;
+    this.credits += job.pay;
+    this._adjust(job.factionId, JOB_REPUTATION);
+    this._adjustRivals(job.factionId, -JOB_RIVAL_PENALTY);
+    this.onEvent(`Job done for ${this._name(job.factionId)}: +${job.pay} credits.`);
+    this._changed();
+    return 'completed';
+  }
+
+  // SABOTAGE --------------------------------------------------------------------
+  getSabotageBlock(base) {
+    if (base.factionId === this.allegiance) return `You won't sabotage your own side.`;
+    return null;
+  }
+
+  // Records the player sabotaging a faction's base; the damage itself is
+  // dealt by the caller through the war manager
+  recordSabotage(base) {
+    if (this.getSabotageBlock(base)) return false;
+    this._adjust(base.factionId, -SABOTAGE_PENALTY);
+    this._adjustRivals(base.factionId, SABOTAGE_RIVAL_BONUS);
+    this._changed();
+    return true;
+  }
+
+  // SHOPS -----------------------------------------------------------------------
+  // Why a shop on ground held by `holderId` (null: unclaimed) won't serve
+  // the player, or null
+  getShopBlock(holderId) {
+    if (this.getAttitude(holderId) === 'hostile') {
+      return `This shop is run under ${this._name(holderId)}. They won't serve you.`;
+    }
+    return null;
+  }
+
+  // [{ item, price, locked }] for a shop on ground held by `holderId`.
+  // locked is the reason faction gear can't be bought, or null.
+  getShopStock(holderId) {
+    const stock = COMMON_STOCK.map(({ price, ...item }) => ({ item, price, locked: null }));
+    if (holderId === null || holderId === undefined) return stock;
+    const faction = this.warManager.factions[holderId];
+    const attitude = this.getAttitude(holderId);
+    const locked = attitude === 'allied' || attitude === 'friendly' ? null : `Friends of ${faction.name} only`;
+    for (const gear of FACTION_GEAR) {
+      stock.push({
+        item: {
+          id: `${gear.key}_faction${holderId}`,
+          name: `${faction.name} ${gear.name}`,
+          slot: gear.slot,
+          color: parseInt(faction.color.slice(1), 16),
+        },
+        price: gear.price,
+        locked,
+      });
+    }
+    return stock;
+  }
+
+  // Pays for an item and counts it as trade with the ground's holder.
+  // Returns why it couldn't be bought, or null.
+  buy(entry, holderId) {
+    const blocked = this.getShopBlock(holderId) || entry.locked;
+    if (blocked) return blocked;
+    if (this.credits < entry.price) return `You need ${entry.price} credits.`;
+    this.credits -= entry.price;
+    if (holderId !== null && holderId !== undefined) this._adjust(holderId, TRADE_REPUTATION);
+    this._changed();
+    return null;
+  }
+
+  serialize() {
+    return {
+      reputation: [...this.reputation],
+      allegiance: this.allegiance,
+      credits: this.credits,
+      job: this.job ? { ...this.job } : null,
+    };
+  }
+
+  restore(data) {
+    this.reputation = this.warManager.factions.map((f) => {
+      const rep = data.reputation ? data.reputation[f.id] : 0;
+      return Number.isFinite(rep) ? Math.max(-MAX_REPUTATION, Math.min(MAX_REPUTATION, rep)) : 0;
+    });
+    this.allegiance = Number.isInteger(data.allegiance) ? data.allegiance : null;
+    this.credits = Number.isFinite(data.credits) ? data.credits : STARTING_CREDITS;
+    this.job = data.job ? { ...data.job } : null;
+    this._changed();
+  }
+}
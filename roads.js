@@ -0,0 +1,230 @@
+// roads.js
+// -----------------------------------------------------------------------------
+// Deterministic road network shared by rendering, NPCs, vehicles and the war
+// layer.
+// - Every chunk edge has at most one crossing point ("port") at its midpoint.
+//   An edge gets a port when either chunk on it carries streets, and both
+//   chunks then route a road to it, so a road leaving one chunk always
+//   continues in the next.
+// - City, suburb and highway chunks join their ports with a cross of streets
+//   through the chunk centre. Parks and wasteland join whatever ports they
+//   have to a jittered hub with narrower paths.
+// - Highway chunks also carry an elevated deck along X. Its ends meet the
+//   neighbouring highway deck, or come down an on-ramp onto the ground port
+//   when the next chunk along X is not highway.
+// - Node ids are derived from what a node sits on (chunk centre, chunk edge),
+//   so graphs of neighbouring chunks share nodes and merge into one network.
+//
+// Chunk (cx, cz) covers world [cx - 0.5, cx + 0.5] * chunkSize on each axis.
+// -----------------------------------------------------------------------------
+
+import { seededRandom } from './utils.js';
+
+export const HIGHWAY_DECK_Y = 5.5; // top of the elevated highway deck
+export const HIGHWAY_RAMP_LENGTH = 22; // run of an on-ramp from ground to deck
+export const ROAD_WIDTHS = { street: 6, path: 3, highway: 8, ramp: 8 };
+
+const STREET_TYPES = new Set(['city', 'suburb', 'highway']);
+
+// Builds the nodes/edges one chunk contributes to the network.
+// options: { chunkSize, getChunkType(cx, cz), seed }
+export function generateChunkRoads(cx, cz, options) {
+  const { chunkSize, getChunkType, seed } = options;
+  const type = getChunkType(cx, cz);
+  const half = chunkSize / 2;
+  const centerX = cx * chunkSize;
+  const centerZ = cz * chunkSize;
+
+  const nodes = [];
+  const edges = [];
+  const addNode = (id, x, y, z, kind) => {
+    nodes.push({ id, x, y, z, kind });
+    return id;
+  };
+  const addEdge = (a, b, kind) => {
+    edges.push({ id: a < b ? `${a}|${b}` : `${b}|${a}`, a, b, kind, width: ROAD_WIDTHS[kind] });
+  };
+
+  // Ports on this chunk's four edges, named after the chunk on their -X/-Z
+  // side so both neighbours agree on the id.
+  const hasStreets = STREET_TYPES.has(type);
+  const sides = [
+    { side: 'w', id: `px:${cx - 1},${cz}`, x: centerX - half, z: centerZ, nx: cx - 1, nz: cz },
+    { side: 'e', id: `px:${cx},${cz}`, x: centerX + half, z: centerZ, nx: cx + 1, nz: cz },
+    { side: 'n', id: `pz:${cx},${cz - 1}`, x: centerX, z: centerZ - half, nx: cx, nz: cz - 1 },
+    { side: 's', id: `pz:${cx},${cz}`, x: centerX, z: centerZ + half, nx: cx, nz: cz + 1 },
+  ];
+  const ports = sides.filter((p) => hasStreets || STREET_TYPES.has(getChunkType(p.nx, p.nz)));
+  if (ports.length === 0) return { nodes, edges };
+
+  // Highway decks: ramps take over the ground port at the end they land on
+  const rampSides = new Set();
+  if (type === 'highway') {
+    const deckY = HIGHWAY_DECK_Y;
+    const westContinues = getChunkType(cx - 1, cz) === 'highway';
+    const eastContinues = getChunkType(cx + 1, cz) === 'highway';
+    const west = westContinues
+      ? addNode(`hx:${cx - 1},${cz}`, centerX - half, deckY, centerZ, 'highway')
+      : addNode(`hr:${cx},${cz}:w`, centerX - half + HIGHWAY_RAMP_LENGTH, deckY, centerZ, 'highway');
+    const east = eastContinues
+      ? addNode(`hx:${cx},${cz}`, centerX + half, deckY, centerZ, 'highway')
+      : addNode(`hr:${cx},${cz}:e`, centerX + half - HIGHWAY_RAMP_LENGTH, deckY, centerZ, 'highway');
+    addEdge(west, east, 'highway');
+    if (!westContinues) {
+      rampSides.add('w');
+      addNode(sides[0].id, sides[0].x, 0, sides[0].z, 'port');
+      addEdge(sides[0].id, west, 'ramp');
+    }
+    if (!eastContinues) {
+      rampSides.add('e');
+      addNode(sides[1].id, sides[1].x, 0, sides[1].z, 'port');
+      addEdge(east, sides[1].id, 'ramp');
+    }
+  }
+
+  // Ground hub: chunk centre for street chunks, a jittered clearing otherwise
+  let hubX = centerX;
+  let hubZ = centerZ;
+  if (!hasStreets) {
+    hubX += (seededRandom(cx, cz, seed + 404) - 0.5) * chunkSize * 0.4;
+    hubZ += (seededRandom(cz, cx, seed + 405) - 0.5) * chunkSize * 0.4;
+  }
+  const hub = addNode(`c:${cx},${cz}`, hubX, 0, hubZ, hasStreets ? 'junction' : 'clearing');
+  const groundKind = hasStreets ? 'street' : 'path';
+  for (const p of ports) {
+    if (rampSides.has(p.side)) continue;
+    addNode(p.id, p.x, 0, p.z, 'port');
+    addEdge(hub, p.id, groundKind);
+  }
+
+  return { nodes, edges };
+}
+
+// Live graph of the road network in loaded chunks. Chunks add and remove
+// their pieces; nodes shared between chunks stay until no chunk uses them.
+export class RoadGraph {
+  constructor() {
+    this.nodes = new Map(); // id -> { id, x, y, z, kind, owners: Set }
+    this.edges = new Map(); // id -> { id, a, b, kind, width, chunkKey }
+    this.adjacency = new Map(); // node id -> Set of edge ids
+    this.chunkEdges = new Map(); // chunk key -> edge ids
+    this.chunkNodes = new Map(); // chunk key -> node ids
+  }
+
+  addChunk(chunkKey, roads) {
+    for (const n of roads.nodes) {
+      let node = this.nodes.get(n.id);
+      if (!node) {
+        node = { ...n, owners: new Set() };
+        this.nodes.set(n.id, node);
+        this.adjacency.set(n.id, new Set());
+      } else if (node.kind === 'port' && n.kind !== 'port') {
+        node.kind = n.kind;
+      }
+      node.owners.add(chunkKey);
+    }
+    this.chunkNodes.set(chunkKey, roads.nodes.map((n) => n.id));
+    const ids = [];
+    for (const e of roads.edges) {
+      this.edges.set(e.id, { ...e, chunkKey });
+      this.adjacency.get(e.a).add(e.id);
+      this.adjacency.get(e.b).add(e.id);
+      ids.push(e.id);
+    }
+    this.chunkEdges.set(chunkKey, ids);
+  }
+
+  removeChunk(chunkKey) {
+    const ids = this.chunkEdges.get(chunkKey) || [];
+    for (const id of ids) {
+      const e = this.edges.get(id);
+      if (!e) continue;
+      this.adjacency.get(e.a)?.delete(id);
+      this.adjacency.get(e.b)?.delete(id);
+      this.edges.delete(id);
+    }
+    this.chunkEdges.delete(chunkKey);
+    for (const id of this.chunkNodes.get(chunkKey) || []) {
+      const node = this.nodes.get(id);
+      if (!node) continue;
+      node.owners.delete(chunkKey);
+      if (node.owners.size === 0) {
+        this.nodes.delete(id);
+        this.adjacency.delete(id);
+      }
+    }
+    this.chunkNodes.delete(chunkKey);
+  }
+
+  getNode(id) {
+    return this.nodes.get(id) || null;
+  }
+
+  // [{ node, edge }] for every road leaving the node
+  getNeighbors(id) {
+    const out = [];
+    for (const edgeId of this.adjacency.get(id) || []) {
+      const edge = this.edges.get(edgeId);
+      const otherId = edge.a === id ? edge.b : edge.a;
+      const node = this.nodes.get(otherId);
+      if (node) out.push({ node, edge });
+    }
+    return out;
+  }
+
+  nearestNode(x, z, maxDist = Infinity, filter = null) {
+    let best = null;
+    let bestDistSq = maxDist * maxDist;
+    for (const node of this.nodes.values()) {
+      if (filter && !filter(node)) continue;
+      const dx = node.x - x;
+      const dz = node.z - z;
+      const d2 = dx * dx + dz * dz;
+      if (d2 < bestDistSq) {
+        bestDistSq = d2;
+        best = node;
+      }
+    }
+    return best;
+  }
+
+  // A* over loaded roads. Returns the list of nodes from start to goal, or
+  // null when the goal isn't reachable through loaded chunks.
+  findPath(fromId, toId) {
+    const goal = this.nodes.get(toId);
+    if (!this.nodes.has(fromId) || !goal) return null;
+    const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+    const open = new Set([fromId]);
+    const cameFrom = new Map();
+    const gScore = new Map([[fromId, 0]]);
+    const fScore = new Map([[fromId, dist(this.nodes.get(fromId), goal)]]);
+
+    while (open.size > 0) {
+      let currentId = null;
+      for (const id of open) {
+        if (currentId === null || fScore.get(id) < fScore.get(currentId)) currentId = id;
+      }
+      if (currentId === toId) {
+        const path = [this.nodes.get(currentId)];
+        while (cameFrom.has(currentId)) {
+          currentId = cameFrom.get(currentId);
+          path.unshift(this.nodes.get(currentId));
+        }
+        return path;
+      }
+      open.delete(currentId);
+      const current = this.nodes.get(currentId);
+      for (const { node } of this.getNeighbors(currentId)) {
+        const tentative = gScore.get(currentId) + dist(current, node);
+        if (tentative < (gScore.get(node.id) ?? Infinity)) {
+          cameFrom.set(node.id, currentId);
+          gScore.set(node.id, tentative);
+          fScore.set(node.id, tentative + dist(node, goal));
+          open.add(node.id);
+        }
+      }
+    }
+    return null;
+  }
+}
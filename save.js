@@ -0,0 +1,244 @@
+// save.js
+// -----------------------------------------------------------------------------
+// Save / load of the player session.
+// - Systems register a named section with save() / load(data) hooks; a
+//   snapshot is the versioned collection of all sections.
+// - The current snapshot lives in localStorage and is rewritten on an
+//   autosave interval and whenever the page is hidden or closed.
+// - Older snapshots are upgraded one version at a time through MIGRATIONS
+//   before they are applied, so saves keep loading as the game evolves.
+// - Named slots keep extra snapshots next to the autosave, and any snapshot
+//   can be exported to / imported from a JSON file. Everything is validated
+//   before a single section is touched, so a bad file can't half-load.
+// - Device preferences (graphics settings) are stored separately: they
+//   belong to the browser, not to a saved game.
+// -----------------------------------------------------------------------------
+
+export const SAVE_VERSION = 1;
+
+const AUTOSAVE_KEY = 'warCities.autosave';
+const SLOTS_KEY = 'warCities.slots';
+const PREFS_KEY = 'warCities.prefs';
+
+// Migration hooks keyed by the version they upgrade *from*. Each one receives
+// a snapshot of that version and must return a snapshot of version + 1.
+const MIGRATIONS = {
+  // 1: (snapshot) => ({ ...snapshot, version: 2 }),
+};
+
+export function migrateSnapshot(snapshot) {
+  let current = snapshot;
+  if (current.version > SAVE_VERSION) {
+    throw new Error(
+      `Save was made by a newer build (version ${current.version}, this build reads up to ${SAVE_VERSION}).`
+    );
+  }
+  while (current.version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) {
+      throw new Error(`No migration available for save version ${current.version}.`);
+    }
+    current = migrate(current);
+  }
+  return current;
+}
+
+// Structural check shared by slot loads and file imports. Throws an Error with
+// a message that can be shown to the player as-is.
+export function validateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+    throw new Error('Not a save file: expected a JSON object.');
+  }
+  if (!Number.isInteger(snapshot.version) || snapshot.version < 1) {
+    throw new Error('Not a save file: missing or invalid "version".');
+  }
+  if (!snapshot.sections || typeof snapshot.sections !== 'object' || Array.isArray(snapshot.sections)) {
+    throw new Error('Not a save file: missing "sections".');
+  }
+  return snapshot;
+}
+
+// localStorage can be missing or throw (file:// pages, privacy modes), in
+// which case saving quietly turns into a no-op.
+function getDefaultStorage() {
+  try {
+    return window.localStorage || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+export class SaveManager {
+  constructor(storage = getDefaultStorage()) {
+    this.storage = storage;
+    this.sections = new Map(); // name -> { save, load, validate }
+    this.autosaveTimer = null;
+  }
+
+  // Sections are restored in registration order, so register systems that
+  // others depend on (e.g. the player before the interior session) first.
+  // validate(data) returns an error message or null. It is required: load
+  // must be able to take any data validate lets through, or an import could
+  // fail half-way.
+  register(name, hooks) {
+    if (typeof hooks.validate !== 'function') {
+      throw new Error(`Save section "${name}" needs a validate hook.`);
+    }
+    this.sections.set(name, hooks);
+  }
+
+  createSnapshot() {
+    const sections = {};
+    for (const [name, hooks] of this.sections) {
+      sections[name] = hooks.save();
+    }
+    return { version: SAVE_VERSION, savedAt: Date.now(), sections };
+  }
+
+  applySnapshot(snapshot) {
+    const migrated = migrateSnapshot(validateSnapshot(snapshot));
+    for (const [name, hooks] of this.sections) {
+      const data = migrated.sections[name];
+      if (data === undefined) continue;
+      const problem = hooks.validate(data);
+      if (problem) throw new Error(`Save section "${name}" is invalid: ${problem}`);
+    }
+    for (const [name, hooks] of this.sections) {
+      if (migrated.sections[name] !== undefined) {
+        hooks.load(migrated.sections[name]);
+      }
+    }
+  }
+
+  save() {
+    if (!this.storage) return false;
+    try {
+      this.storage.setItem(AUTOSAVE_KEY, JSON.stringify(this.createSnapshot()));
+      return true;
+    } catch (err) {
+      console.warn('Autosave failed', err);
+      return false;
+    }
+  }
+
+  // Returns the stored snapshot (already migrated) or null when there is none
+  // or it cannot be read.
+  loadStored() {
+    if (!this.storage) return null;
+    try {
+      const raw = this.storage.getItem(AUTOSAVE_KEY);
+      if (!raw) return null;
+      return migrateSnapshot(JSON.parse(raw));
+    } catch (err) {
+      console.warn('Ignoring unreadable save', err);
+      return null;
+    }
+  }
+
+  clear() {
+    if (this.storage) this.storage.removeItem(AUTOSAVE_KEY);
+  }
+
+  // SLOTS ---------------------------------------------------------------------
+  _readSlots() {
+    if (!this.storage) return {};
+    try {
+      return JSON.parse(this.storage.getItem(SLOTS_KEY) || '{}') || {};
+    } catch (err) {
+      console.warn('Save slot index is unreadable', err);
+      return {};
+    }
+  }
+
+  _writeSlots(slots) {
+    if (!this.storage) throw new Error('Saving is unavailable in this browser.');
+    this.storage.setItem(SLOTS_KEY, JSON.stringify(slots));
+  }
+
+  // Slot summaries, newest first: { name, savedAt, areaName, warSummary }
+  listSlots() {
+    return Object.values(this._readSlots())
+      .map((snapshot) => ({ savedAt: snapshot.savedAt, ...snapshot.meta }))
+      .sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+  }
+
+  // meta: { areaName, warSummary } describing where/when the save was made
+  saveToSlot(name, meta = {}) {
+    return this.storeSlot({ ...this.createSnapshot(), meta: { ...meta, name } });
+  }
+
+  storeSlot(snapshot) {
+    const slots = this._readSlots();
+    slots[snapshot.meta.name] = snapshot;
+    this._writeSlots(slots);
+    return snapshot;
+  }
+
+  getSlot(name) {
+    const snapshot = this._readSlots()[name];
+    if (!snapshot) throw new Error(`Save slot "${name}" does not exist.`);
+    return snapshot;
+  }
+
+  deleteSlot(name) {
+    const slots = this._readSlots();
+    delete slots[name];
+    this._writeSlots(slots);
+  }
+
+  // PREFERENCES ---------------------------------------------------------------
+  loadPreference(name, fallback) {
+    if (!this.storage) return fallback;
+    try {
+      const prefs = JSON.parse(this.storage.getItem(PREFS_KEY) || '{}') || {};
+      return prefs[name] !== undefined ? prefs[name] : fallback;
+    } catch (err) {
+      return fallback;
+    }
+  }
+
+  storePreference(name, value) {
+    if (!this.storage) return;
+    try {
+      const prefs = JSON.parse(this.storage.getItem(PREFS_KEY) || '{}') || {};
+      prefs[name] = value;
+      this.storage.setItem(PREFS_KEY, JSON.stringify(prefs));
+    } catch (err) {
+      console.warn('Could not store preference', name, err);
+    }
+  }
+
+  // FILES ---------------------------------------------------------------------
+  exportToFile(snapshot, fileName) {
+    const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Parses and checks an imported file's text; the result still goes through
+  // applySnapshot (and its section validators) before anything changes.
+  parseImport(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new Error('File is not valid JSON.');
+    }
+    return migrateSnapshot(validateSnapshot(parsed));
+  }
+
+  startAutosave(intervalSeconds = 30) {
+    if (this.autosaveTimer) return;
+    this.autosaveTimer = setInterval(() => this.save(), intervalSeconds * 1000);
+    window.addEventListener('beforeunload', () => this.save());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.save();
+    });
+  }
+}
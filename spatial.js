@@ -0,0 +1,84 @@
+// spatial.js
+// -----------------------------------------------------------------------------
+// Uniform grid spatial hash for static world objects (colliders, doors).
+// - Items are inserted with an XZ bounding box and an owner key (the chunk
+//   they belong to) and are stored in every grid cell the box touches.
+// - Queries only visit the cells overlapping the query box.
+// - Removing an owner only touches the cells that owner filled. With a cell
+//   size that divides CHUNK_SIZE those cells belong to that chunk alone, so
+//   unloading a chunk just drops its buckets.
+// -----------------------------------------------------------------------------
+
+export class SpatialHash {
+  constructor(cellSize = 16) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "ix,iz" -> [{ item, owner, stamp }]
+    this.owners = new Map(); // owner -> Set of cell keys it occupies
+    this.queryStamp = 0; // marks entries already returned by the current query
+  }
+
+  _cellKey(ix, iz) {
+    return `${ix},${iz}`;
+  }
+
+  insert(item, minX, minZ, maxX, maxZ, owner) {
+    const entry = { item, owner, stamp: 0 };
+    let ownerCells = this.owners.get(owner);
+    if (!ownerCells) {
+      ownerCells = new Set();
+      this.owners.set(owner, ownerCells);
+    }
+
+    const x0 = Math.floor(minX / this.cellSize);
+    const x1 = Math.floor(maxX / this.cellSize);
+    const z0 = Math.floor(minZ / this.cellSize);
+    const z1 = Math.floor(maxZ / this.cellSize);
+    for (let ix = x0; ix <= x1; ix++) {
+      for (let iz = z0; iz <= z1; iz++) {
+        const key = this._cellKey(ix, iz);
+        let bucket = this.cells.get(key);
+        if (!bucket) {
+          bucket = [];
+          this.cells.set(key, bucket);
+        }
+        bucket.push(entry);
+        ownerCells.add(key);
+      }
+    }
+  }
+
+  removeOwner(owner) {
+    const ownerCells = this.owners.get(owner);
+    if (!ownerCells) return;
+    for (const key of ownerCells) {
+      const bucket = this.cells.get(key);
+      if (!bucket) continue;
+      const kept = bucket.filter((e) => e.owner !== owner);
+      if (kept.length > 0) this.cells.set(key, kept);
+      else this.cells.delete(key);
+    }
+    this.owners.delete(owner);
+  }
+
+  // Appends every item whose box may overlap the query box to `out` (each
+  // item at most once) and returns it.
+  query(minX, minZ, maxX, maxZ, out = []) {
+    const stamp = ++this.queryStamp;
+    const x0 = Math.floor(minX / this.cellSize);
+    const x1 = Math.floor(maxX / this.cellSize);
+    const z0 = Math.floor(minZ / this.cellSize);
+    const z1 = Math.floor(maxZ / this.cellSize);
+    for (let ix = x0; ix <= x1; ix++) {
+      for (let iz = z0; iz <= z1; iz++) {
+        const bucket = this.cells.get(this._cellKey(ix, iz));
+        if (!bucket) continue;
+        for (const entry of bucket) {
+          if (entry.stamp === stamp) continue;
+          entry.stamp = stamp;
+          out.push(entry.item);
+        }
+      }
+    }
+    return out;
+  }
+}
@@ -0,0 +1,229 @@
+// strategies.js
+// -----------------------------------------------------------------------------
+// Faction AI for the war simulation (war.js).
+// - A strategy answers two questions for the sim every step:
+//   - planBase(base, war): what a base does with its resources, as
+//     { spawn, convoyTo, repair } (spawn: a unit type or null, convoyTo: a
+//     cell to send a builder convoy to or null, repair: hp to buy back).
+//     The sim checks the costs and pays for what it can afford.
+//   - pickTarget(unit, war): the cell a fighting unit heads for next. It is
+//     asked again when the unit arrives and every few steps on the way, so
+//     units answer threats, and a unit sent to the cell it is on stays
+//     there (garrisons, sieges).
+// - The personalities below are one planner driven by a table of traits:
+//   how rich a base must be before it builds units, the unit mix, how far
+//   the faction spreads, how it weighs distance against weakness when
+//   picking an enemy base, how much threat makes it defend, and repairs.
+// - Any object with the two functions can be registered in STRATEGIES; the
+//   sim swaps them by name at runtime.
+// -----------------------------------------------------------------------------
+
+const UNIT_TYPES = ['infantry', 'tank', 'air'];
+const EXPAND_DIRECTIONS = [
+  { x: 1, y: 0 },
+  { x: 1, y: 1 },
+  { x: 0, y: 1 },
+  { x: -1, y: 1 },
+  { x: -1, y: 0 },
+  { x: -1, y: -1 },
+  { x: 0, y: -1 },
+  { x: 1, y: -1 },
+];
+const SITE_SPACING = 1.5; // cells between a new base and any other (or a convoy's goal)
+const WEAKNESS_SCALE = 5; // a full-hp base counts as this many cells further away
+const GARRISON_WEIGHT = 0.25; // each defender makes a base look this much stronger (1 = full hp)
+
+// Traits:
+// - spawnAt: resources a base holds before it spends on units
+// - unitsPerBase: cap on the faction's fighting units per base it holds
+// - mix: wanted share of each unit type
+// - convoyAt / maxBases / expandRange: when a base sends a builder convoy,
+//   how many bases the faction wants, and how far away new bases go
+// - repairRate: hp a damaged base buys back per step (1 resource per hp)
+// - garrison: units each base keeps at home before sending any out
+// - attackWith: fighting units the faction needs on top of its garrisons
+//   before it attacks at all; until then its units gather at home
+// - distanceWeight / weaknessWeight: how an enemy base's distance and
+//   strength (hp and defenders) count against it as a target; attackRange:
+//   how far units go to attack
+// - defendAt / defendRange: threat (enemy units closing in) that pulls in
+//   units from this far away
+const PERSONALITIES = {
+  // Builds heavy units early and throws them at the weakest enemy base,
+  // wherever it is. Only a serious threat calls units home.
+  aggressive: {
+    label: 'Aggressive',
+    spawnAt: 60,
+    unitsPerBase: 10,
+    mix: { infantry: 0.4, tank: 0.4, air: 0.2 },
+    convoyAt: 200,
+    maxBases: 3,
+    expandRange: 3,
+    repairRate: 0,
+    garrison: 2,
+    attackWith: 4,
+    distanceWeight: 0.5,
+    weaknessWeight: 3,
+    attackRange: Infinity,
+    defendAt: 2,
+    defendRange: 6,
+  },
+  // Saves for builder convoys and spreads over unclaimed ground, keeping a
+  // light army to clear nearby enemies and answer raids.
+  expansionist: {
+    label: 'Expansionist',
+    spawnAt: 80,
+    unitsPerBase: 6,
+    mix: { infantry: 0.6, tank: 0.2, air: 0.2 },
+    convoyAt: 120,
+    maxBases: 12,
+    expandRange: 3,
+    repairRate: 0.5,
+    garrison: 2,
+    attackWith: 5,
+    distanceWeight: 1,
+    weaknessWeight: 1,
+    attackRange: 8,
+    defendAt: 2,
+    defendRange: 6,
+  },
+  // Stays small, repairs, garrisons its bases and only strikes what comes
+  // close; every raid brings the whole army home.
+  turtle: {
+    label: 'Turtle',
+    spawnAt: 70,
+    unitsPerBase: 8,
+    mix: { infantry: 0.5, tank: 0.3, air: 0.2 },
+    convoyAt: 250,
+    maxBases: 2,
+    expandRange: 2,
+    repairRate: 2,
+    garrison: 3,
+    attackWith: 6,
+    distanceWeight: 1,
+    weaknessWeight: 2,
+    attackRange: 4,
+    defendAt: 1,
+    defendRange: 12,
+  },
+};
+
+function makeStrategy(traits) {
+  return {
+    label: traits.label,
+    planBase: (base, war) => planBase(base, war, traits),
+    pickTarget: (unit, war) => pickTarget(unit, war, traits),
+  };
+}
+
+// name -> strategy
+export const STRATEGIES = Object.fromEntries(
+  Object.entries(PERSONALITIES).map(([name, traits]) => [name, makeStrategy(traits)])
+);
+
+// Strategy per faction id at the start of a war
+export const DEFAULT_STRATEGIES = ['expansionist', 'aggressive', 'turtle'];
+
+function planBase(base, war, traits) {
+  const forces = war.getForces(base.factionId);
+  const fighting = UNIT_TYPES.reduce((sum, type) => sum + forces[type], 0);
+  const spawn =
+    base.resources >= traits.spawnAt && fighting < traits.unitsPerBase * forces.bases
+      ? pickUnitType(forces, fighting, traits.mix)
+      : null;
+  // Convoys only leave once every base has its garrison
+  const convoyTo =
+    base.resources >= traits.convoyAt &&
+    fighting >= traits.garrison * forces.bases &&
+    forces.bases + forces.builder < traits.maxBases
+      ? pickExpansion(base, war, traits)
+      : null;
+  const repair = Math.min(traits.repairRate, Math.max(0, 100 - base.hp));
+  return { spawn, convoyTo, repair };
+}
+
+// The type furthest below its share of the faction's army
+function pickUnitType(forces, fighting, mix) {
+  let best = UNIT_TYPES[0];
+  let bestGap = -Infinity;
+  for (const type of UNIT_TYPES) {
+    const gap = mix[type] - (fighting > 0 ? forces[type] / fighting : 0);
+    if (gap > bestGap) {
+      best = type;
+      bestGap = gap;
+    }
+  }
+  return best;
+}
+
+// A free cell expandRange away from the base, as far from enemy bases as
+// possible and not on ground an enemy holds; null if there's none
+function pickExpansion(base, war, traits) {
+  const taken = (x, y) =>
+    war.bases.some((b) => Math.hypot(b.x - x, b.y - y) < SITE_SPACING) ||
+    war.units.some(
+      (u) => u.type === 'builder' && u.factionId === base.factionId && Math.hypot(u.tx - x, u.ty - y) < SITE_SPACING
+    );
+  const enemies = war.bases.filter((b) => b.factionId !== base.factionId);
+
+  let best = null;
+  let bestRoom = -Infinity;
+  for (const dir of EXPAND_DIRECTIONS) {
+    const x = base.x + dir.x * traits.expandRange;
+    const y = base.y + dir.y * traits.expandRange;
+    if (taken(x, y)) continue;
+    const holder = war.getControlAt(x, y).factionId;
+    if (holder !== null && holder !== base.factionId) continue;
+    const room = enemies.reduce((min, b) => Math.min(min, Math.hypot(b.x - x, b.y - y)), Infinity);
+    if (room > bestRoom) {
+      best = { x, y };
+      bestRoom = room;
+    }
+  }
+  return best;
+}
+
+function pickTarget(unit, war, traits) {
+  const dist = (b) => Math.hypot(b.x - unit.x, b.y - unit.y);
+  const own = war.bases.filter((b) => b.factionId === unit.factionId);
+
+  // Defend: the most threatened of our bases in reach, nearest first on ties
+  let defend = null;
+  for (const b of own) {
+    const threat = war.getThreat(b);
+    if (threat < traits.defendAt || dist(b) > traits.defendRange) continue;
+    if (!defend || threat > defend.threat || (threat === defend.threat && dist(b) < dist(defend.base))) {
+      defend = { base: b, threat };
+    }
+  }
+  if (defend) return { x: defend.base.x, y: defend.base.y };
+
+  // Garrison: the oldest few units at each of our bases stay there
+  const post = own.find((b) => dist(b) < 1.0);
+  if (post) {
+    const garrison = war.getGarrison(post);
+    const rank = garrison.includes(unit) ? garrison.indexOf(unit) : garrison.length;
+    if (rank < traits.garrison) return { x: post.x, y: post.y };
+  }
+
+  // Attack: the enemy base in range that is closest and weakest
+  const forces = war.getForces(unit.factionId);
+  const fighting = UNIT_TYPES.reduce((sum, type) => sum + forces[type], 0);
+  let attack = null;
+  let attackScore = Infinity;
+  for (const b of war.bases) {
+    if (fighting - traits.garrison * forces.bases < traits.attackWith) break;
+    if (b.factionId === unit.factionId || dist(b) > traits.attackRange) continue;
+    const strength = Math.max(0, b.hp) / 100 + war.getGarrison(b).length * GARRISON_WEIGHT;
+    const score = dist(b) * traits.distanceWeight + strength * traits.weaknessWeight * WEAKNESS_SCALE;
+    if (score < attackScore) {
+      attack = b;
+      attackScore = score;
+    }
+  }
+  if (attack) return { x: attack.x, y: attack.y };
+
+  // Otherwise hold the nearest of our bases (or stay put without one)
+  const home = own.reduce((near, b) => (!near || dist(b) < dist(near) ? b : near), null);
+  return home ? { x: home.x, y: home.y } : { x: unit.x, y: unit.y };
+}
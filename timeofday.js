@@ -0,0 +1,145 @@
+// timeofday.js
+// -----------------------------------------------------------------------------
+// Game clock and day/night lighting.
+// - TimeOfDay owns the in-game time as hours in [0, 24). It advances with the
+//   game loop at `timeScale` game seconds per real second (1 = real time) and
+//   starts from the player's local wall-clock time.
+// - It also counts the game seconds played (getElapsed()), which only the
+//   game loop advances: setting the clock doesn't change it, so timelines
+//   built on it (weather periods) neither repeat daily nor jump with the clock.
+// - getLighting() turns the hour into sun/moon direction, light colours and
+//   intensities, and the sky colour (also used for fog) by blending between
+//   keyframes. The caller applies them to its three.js lights and scene; this
+//   module has no rendering dependencies.
+// - Other systems read getHour() / isNight() / getDaylight() to react to the
+//   time of day.
+// -----------------------------------------------------------------------------
+
+// Lighting keyframes over a day. Colours are blended per channel.
+const KEYFRAMES = [
+  { hour: 0, sky: 0x03050b, ambient: 0x1a2033, ambientIntensity: 0.9, sun: 0x6f7fb0, sunIntensity: 0.25 },
+  { hour: 5, sky: 0x0a0d1a, ambient: 0x242a40, ambientIntensity: 0.9, sun: 0x7d88b8, sunIntensity: 0.25 },
+  { hour: 6.5, sky: 0x4a3a4a, ambient: 0x5a4a50, ambientIntensity: 1.0, sun: 0xffa36b, sunIntensity: 0.5 },
+  { hour: 9, sky: 0x5f7f9f, ambient: 0x606870, ambientIntensity: 1.1, sun: 0xfff0d8, sunIntensity: 0.8 },
+  { hour: 13, sky: 0x6f90b0, ambient: 0x6a7078, ambientIntensity: 1.2, sun: 0xffffff, sunIntensity: 0.9 },
+  { hour: 17, sky: 0x5a6f8a, ambient: 0x5e6068, ambientIntensity: 1.1, sun: 0xffe2bb, sunIntensity: 0.8 },
+  { hour: 19, sky: 0x3b2a3a, ambient: 0x463a48, ambientIntensity: 1.0, sun: 0xff8a55, sunIntensity: 0.45 },
+  { hour: 20.5, sky: 0x080a14, ambient: 0x1e2438, ambientIntensity: 0.9, sun: 0x6f7fb0, sunIntensity: 0.25 },
+  { hour: 24, sky: 0x03050b, ambient: 0x1a2033, ambientIntensity: 0.9, sun: 0x6f7fb0, sunIntensity: 0.25 },
+];
+
+const SUNRISE = 6;
+const SUNSET = 19;
+
+function lerpColor(a, b, t) {
+  const mix = (shift) => {
+    const ca = (a >> shift) & 0xff;
+    const cb = (b >> shift) & 0xff;
+    return Math.round(ca + (cb - ca) * t) << shift;
+  };
+  return mix(16) | mix(8) | mix(0);
+}
+
+function wrapHour(hour) {
+  return ((hour % 24) + 24) % 24;
+}
+
+export class TimeOfDay {
+  constructor(options = {}) {
+    const now = new Date();
+    this.hour = Number.isFinite(options.startHour)
+      ? wrapHour(options.startHour)
+      : now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+    this.timeScale = options.timeScale ?? 1;
+    this.elapsed = 0; // game seconds played
+  }
+
+  update(dt) {
+    const seconds = dt * this.timeScale;
+    this.hour = wrapHour(this.hour + seconds / 3600);
+    this.elapsed += seconds;
+  }
+
+  getHour() {
+    return this.hour;
+  }
+
+  getElapsed() {
+    return this.elapsed;
+  }
+
+  setHour(hour) {
+    if (Number.isFinite(hour)) this.hour = wrapHour(hour);
+  }
+
+  advanceHours(deltaHours) {
+    if (Number.isFinite(deltaHours)) this.hour = wrapHour(this.hour + deltaHours);
+  }
+
+  // "HH:MM:SS" for the HUD clock
+  getClockLabel() {
+    const totalSeconds = Math.floor(this.hour * 3600);
+    const pad = (n) => String(n).padStart(2, '0');
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = totalSeconds % 60;
+    return `${pad(h)}:${pad(m)}:${pad(s)}`;
+  }
+
+  isNight() {
+    return this.hour < SUNRISE || this.hour >= SUNSET;
+  }
+
+  // 0 at night, 1 in full daylight, easing through dawn and dusk
+  getDaylight() {
+    const rise = Math.min(1, Math.max(0, (this.hour - SUNRISE + 0.5) / 2));
+    const set = Math.min(1, Math.max(0, (SUNSET + 0.5 - this.hour) / 2));
+    return Math.min(rise, set);
+  }
+
+  // Unit vector pointing at the sun by day and the moon by night. The sun
+  // rises in +X, peaks at noon and sets in -X; the moon follows the same arc
+  // through the night. A constant Z tilt keeps shadows off the axis.
+  getSunDirection() {
+    const day = !this.isNight();
+    const span = SUNSET - SUNRISE;
+    const progress = day
+      ? (this.hour - SUNRISE) / span
+      : wrapHour(this.hour - SUNSET) / (24 - span);
+    const angle = progress * Math.PI;
+    const x = Math.cos(angle);
+    const y = Math.max(0.15, Math.sin(angle)); // stay a little above the horizon
+    const z = 0.35;
+    const len = Math.hypot(x, y, z);
+    return { x: x / len, y: y / len, z: z / len };
+  }
+
+  // { sky, ambient, ambientIntensity, sun, sunIntensity, sunDirection }
+  getLighting() {
+    let i = 0;
+    while (i < KEYFRAMES.length - 2 && KEYFRAMES[i + 1].hour <= this.hour) i++;
+    const a = KEYFRAMES[i];
+    const b = KEYFRAMES[i + 1];
+    const t = (this.hour - a.hour) / (b.hour - a.hour);
+    return {
+      sky: lerpColor(a.sky, b.sky, t),
+      ambient: lerpColor(a.ambient, b.ambient, t),
+      ambientIntensity: a.ambientIntensity + (b.ambientIntensity - a.ambientIntensity) * t,
+      sun: lerpColor(a.sun, b.sun, t),
+      sunIntensity: a.sunIntensity + (b.sunIntensity - a.sunIntensity) * t,
+      sunDirection: this.getSunDirection(),
+    };
+  }
+
+  // The game speed isn't saved: it comes from configuration, so a save never
+  // pins an old speed
+  serialize() {
+    return { hour: this.hour, elapsed: this.elapsed };
+  }
+
+  restore(data) {
+    if (!data) return;
+    this.setHour(data.hour);
+    if (Number.isFinite(data.elapsed) && data.elapsed >= 0) this.elapsed = data.elapsed;
+  }
+}
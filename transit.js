@@ -0,0 +1,63 @@
+// transit.js
+// -----------------------------------------------------------------------------
+// Transit stations and fast travel bookkeeping.
+// - Stations come from the world generator (a chunk descriptor's `station`).
+//   Walking up to one discovers it; the discovered list is saved.
+// - From any station the player can travel to any other discovered station,
+//   unless the war layer reports the destination's cell as contested.
+// - The travel itself (teleport, travel screen, waiting for the destination
+//   to stream in) is run by main.js.
+// -----------------------------------------------------------------------------
+
+import { worldToWarCell } from './war.js';
+
+export class TransitNetwork {
+  constructor(warManager) {
+    this.warManager = warManager;
+    this.discovered = new Map(); // station id -> { id, name, cityName, x, y, z }
+  }
+
+  // Adds a station to the discovered list; true if it wasn't there yet
+  discover(station) {
+    if (this.discovered.has(station.id)) return false;
+    const { id, name, cityName, x, y, z } = station;
+    this.discovered.set(id, { id, name, cityName, x, y, z });
+    return true;
+  }
+
+  get(id) {
+    return this.discovered.get(id) || null;
+  }
+
+  // Why travel to a station isn't possible right now, or null if it is
+  getTravelBlock(station) {
+    const cell = worldToWarCell(station.x, station.z);
+    if (this.warManager && this.warManager.isContested(cell.x, cell.y)) {
+      return `Service to ${station.name} is suspended: the area is contested.`;
+    }
+    return null;
+  }
+
+  // Travel options from a station: [{ station, distance, blocked }], nearest
+  // first. `blocked` is the reason travel is refused, or null.
+  getDestinations(fromStationId) {
+    const from = this.discovered.get(fromStationId);
+    const destinations = [];
+    for (const station of this.discovered.values()) {
+      if (station.id === fromStationId) continue;
+      const distance = from ? Math.hypot(station.x - from.x, station.z - from.z) : 0;
+      destinations.push({ station, distance, blocked: this.getTravelBlock(station) });
+    }
+    destinations.sort((a, b) => a.distance - b.distance);
+    return destinations;
+  }
+
+  serialize() {
+    return { discovered: [...this.discovered.values()].map((s) => ({ ...s })) };
+  }
+
+  restore(data) {
+    this.discovered.clear();
+    for (const station of data.discovered || []) this.discover(station);
+  }
+}
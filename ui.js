@@ -3,15 +3,89 @@
 // HTML-based UI:
 // - Inventory / equipment panel
 // - Character customization controls
-// - War status text
+// - Save slots (save / load / delete, export & import files)
+// - Graphics settings (view distance)
+// - World map panel (the map itself is drawn by map.js)
+// - Place search, compass strip and waypoint marker
+// - Transit destinations and the fast travel screen
+// - Faction standing, war base and shop counter panels
+// - War status and weather text
 // - Notifications
-// - Chat log (with simulated "ghost" chatters)
+// - Chat log (with simulated "ghost" chatters, plus faction chatter: the
+//   radio of the faction the player serves, and remarks from the others'
+//   people when they like or resent the player)
 // - Simple NPC dialogue box
 //
 // The UI module doesn't own gameplay state; it just renders what it's given
 // and calls callbacks when user interacts.
 // -----------------------------------------------------------------------------
 
+// Faction chatter by faction id: radio traffic heard by members, and what
+// the faction's people say to an outsider they like or resent. Lines take a
+// rival faction's name.
+const FACTION_LINES = [
+  // Faction A: settlers who win by building
+  {
+    radio: [
+      (rival) => `Convoy leaving for the outskirts. ${rival} patrols reported on the route.`,
+      () => `Every base sends a builder this week. We claim the empty blocks first.`,
+      (rival) => `${rival} burned a survey post last night. Reroute the supply trucks.`,
+      () => `New checkpoint is up. Runners, log your deliveries at the flag.`,
+      (rival) => `Hold what we built. ${rival} can't keep ground they never settled.`,
+    ],
+    friendly: [
+      () => `Our builders say you're good people. Drop by any of our flags.`,
+      () => `Heard you ran supplies for us. The convoy crews owe you one.`,
+      (rival) => `If ${rival} gives you trouble, our checkpoints will wave you through.`,
+    ],
+    hostile: [
+      () => `Stay away from our new bases. We know what you did.`,
+      () => `Our checkpoints have your description. Don't test them.`,
+      (rival) => `Go run your errands for ${rival} instead.`,
+    ],
+  },
+  // Faction B: strikes first and keeps pushing
+  {
+    radio: [
+      (rival) => `All units: ${rival} convoys spotted near the highway ramps. Hit them.`,
+      (rival) => `Tanks forward. ${rival}'s nearest base is cracking.`,
+      () => `No retreat orders today. Keep pushing until they fold.`,
+      (rival) => `Good work out there. ${rival} lost ground overnight.`,
+      () => `Air wing, sweep the wasteland. Anything that moves is a target.`,
+    ],
+    friendly: [
+      () => `You've got nerve. We could use someone like you up front.`,
+      (rival) => `Next time we hit ${rival}, you'll want a front-row seat.`,
+      () => `Word is you're on our side. Keep it that way.`,
+    ],
+    hostile: [
+      () => `You're on our list now. Watch the skies.`,
+      () => `Our tank crews know your face. Keep walking.`,
+      (rival) => `Running to ${rival} won't save you when we roll in.`,
+    ],
+  },
+  // Faction C: digs in and waits
+  {
+    radio: [
+      (rival) => `Hold the crossings. ${rival} is probing our checkpoints.`,
+      () => `Repair crews to the outer walls. Nobody goes out alone.`,
+      () => `New recruits, stay off the open streets after dark.`,
+      (rival) => `Let ${rival} come to us. The walls do the work.`,
+      () => `Garrisons at full strength. Keep it that way.`,
+    ],
+    friendly: [
+      () => `You're welcome behind our walls any time.`,
+      () => `The garrison says you've been a help. Stay safe out there.`,
+      (rival) => `${rival} is restless again. Shelter with us if it gets bad.`,
+    ],
+    hostile: [
+      () => `Gates are closed to you. Don't come knocking.`,
+      () => `Our guards have orders about you. Turn around.`,
+      (rival) => `Take your business to ${rival}. We don't want it.`,
+    ],
+  },
+];
+
 export const UI = {
   init(config) {
     this.inventory = config.inventory;
@@ -21,13 +95,56 @@ export const UI = {
     this.onEquipItem = config.onEquipItem;
     this.onUnequipSlot = config.onUnequipSlot;
     this.onChatSubmit = config.onChatSubmit;
+    this.saveCallbacks = config.saveCallbacks || {};
+    this.onViewDistanceChanged = config.onViewDistanceChanged;
+    this.onMapToggled = config.onMapToggled;
+    this.onPoiSearch = config.onPoiSearch;
+    this.onPoiSelected = config.onPoiSelected;
+    this.onWaypointCleared = config.onWaypointCleared;
+    this.onFastTravel = config.onFastTravel;
+    this.onBaseAction = config.onBaseAction;
+    this.onDesert = config.onDesert;
+    this.onAbandonJob = config.onAbandonJob;
+    this.onShopBuy = config.onShopBuy;
 
     this.areaLabel = document.getElementById('areaLabel');
     this.warStatusLabel = document.getElementById('warStatus');
+    this.weatherLabel = document.getElementById('weatherStatus');
     this.inventoryPanel = document.getElementById('inventoryPanel');
     this.inventoryItemsRoot = document.getElementById('inventoryItems');
     this.equipmentSlotsRoot = document.getElementById('equipmentSlots');
     this.customizationPanel = document.getElementById('customizationPanel');
+    this.savePanel = document.getElementById('savePanel');
+    this.saveSlotList = document.getElementById('saveSlotList');
+    this.saveSlotName = document.getElementById('saveSlotName');
+    this.graphicsPanel = document.getElementById('graphicsPanel');
+    this.viewDistanceSelect = document.getElementById('viewDistanceSelect');
+    this.mapPanel = document.getElementById('mapPanel');
+    this.poiPanel = document.getElementById('poiPanel');
+    this.poiSearchInput = document.getElementById('poiSearchInput');
+    this.poiKindSelect = document.getElementById('poiKindSelect');
+    this.poiResults = document.getElementById('poiResults');
+    this.poiWaypointLabel = document.getElementById('poiWaypointLabel');
+    this.compassTicks = document.getElementById('compassTicks');
+    this.compassWaypoint = document.getElementById('compassWaypoint');
+    this.waypointMarker = document.getElementById('waypointMarker');
+    this.transitPanel = document.getElementById('transitPanel');
+    this.transitTitle = document.getElementById('transitTitle');
+    this.transitDestinations = document.getElementById('transitDestinations');
+    this.factionPanel = document.getElementById('factionPanel');
+    this.factionSummary = document.getElementById('factionSummary');
+    this.factionList = document.getElementById('factionList');
+    this.basePanel = document.getElementById('basePanel');
+    this.baseTitle = document.getElementById('baseTitle');
+    this.baseInfo = document.getElementById('baseInfo');
+    this.baseActions = document.getElementById('baseActions');
+    this.shopPanel = document.getElementById('shopPanel');
+    this.shopTitle = document.getElementById('shopTitle');
+    this.shopInfo = document.getElementById('shopInfo');
+    this.shopStock = document.getElementById('shopStock');
+    this.travelScreen = document.getElementById('travelScreen');
+    this.travelDestination = document.getElementById('travelDestination');
+    this.travelProgressFill = document.getElementById('travelProgressFill');
     this.chatLog = document.getElementById('chatLog');
     this.chatInput = document.getElementById('chatInput');
     this.chatSend = document.getElementById('chatSend');
@@ -37,8 +154,8 @@ export const UI = {
     this.clockDisplay = document.getElementById('clockDisplay');
     this.healthFill = document.getElementById('healthFill');
     this.healthLabel = document.getElementById('healthLabel');
-    this.clockOffsetMs = 0;
-    this._clockUpdateFn = null;
+    this.speedometer = document.getElementById('speedometer');
+    this.timeOfDay = config.timeOfDay;
 
     // Inventory toggle buttons
     document
@@ -47,6 +164,58 @@ export const UI = {
     document
       .getElementById('customizationToggle')
       .addEventListener('click', () => this.toggleCustomizationPanel());
+    document
+      .getElementById('saveToggle')
+      .addEventListener('click', () => this.toggleSavePanel());
+    document
+      .getElementById('graphicsToggle')
+      .addEventListener('click', () => this.toggleGraphicsPanel());
+    document
+      .getElementById('mapToggle')
+      .addEventListener('click', () => this.toggleMapPanel());
+    document
+      .getElementById('poiToggle')
+      .addEventListener('click', () => this.togglePoiPanel());
+    document
+      .getElementById('factionToggle')
+      .addEventListener('click', () => this.toggleFactionPanel());
+
+    // Place search
+    document.getElementById('poiSearchButton').addEventListener('click', () => this.runPoiSearch());
+    this.poiSearchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.runPoiSearch();
+    });
+    this.poiKindSelect.addEventListener('change', () => this.runPoiSearch());
+    document.getElementById('poiClearWaypoint').addEventListener('click', () => {
+      if (this.onWaypointCleared) this.onWaypointCleared();
+    });
+    this._buildCompass();
+
+    // Graphics settings
+    this.viewDistanceSelect.addEventListener('change', () => {
+      if (this.onViewDistanceChanged) this.onViewDistanceChanged(this.viewDistanceSelect.value);
+    });
+
+    // Save slot controls
+    const importInput = document.getElementById('importSaveInput');
+    document.getElementById('saveSlotButton').addEventListener('click', () => {
+      const name = this.saveSlotName.value.trim();
+      if (!name) {
+        this.showNotification('Give the save slot a name first.');
+        return;
+      }
+      this.saveSlotName.value = '';
+      if (this.saveCallbacks.onSave) this.saveCallbacks.onSave(name);
+    });
+    document.getElementById('exportSaveButton').addEventListener('click', () => {
+      if (this.saveCallbacks.onExportCurrent) this.saveCallbacks.onExportCurrent();
+    });
+    document.getElementById('importSaveButton').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      const file = importInput.files && importInput.files[0];
+      importInput.value = '';
+      if (file && this.saveCallbacks.onImportFile) this.saveCallbacks.onImportFile(file);
+    });
 
     // Customization controls
     const genderSelect = document.getElementById('genderSelect');
@@ -79,6 +248,15 @@ export const UI = {
     };
 
     this.onCustomizationChanged = config.onCustomizationChanged;
+    this.customizationSelects = {
+      gender: genderSelect,
+      height: heightSelect,
+      bodyPreset: bodyPresetSelect,
+      headPreset: headPresetSelect,
+      skinTone: skinToneSelect,
+      hairStyle: hairStyleSelect,
+      hairColor: hairColorSelect,
+    };
     [
       genderSelect,
       heightSelect,
@@ -163,6 +341,339 @@ export const UI = {
     this.customizationPanel.classList.toggle('hidden');
   },
 
+  // Reflect options applied from code (defaults, loaded saves) in the selects
+  // Whether `value` is offered for customization option `key`
+  isCustomizationChoice(key, value) {
+    const select = this.customizationSelects && this.customizationSelects[key];
+    return !!select && [...select.options].some((option) => option.value === value);
+  },
+
+  setCustomizationOptions(opts) {
+    if (!opts || !this.customizationSelects) return;
+    for (const [key, select] of Object.entries(this.customizationSelects)) {
+      if (opts[key]) select.value = opts[key];
+    }
+    this._drawPreview();
+  },
+
+  // SAVES ---------------------------------------------------------------------
+  toggleSavePanel() {
+    this.savePanel.classList.toggle('hidden');
+    if (!this.savePanel.classList.contains('hidden')) {
+      this.refreshSaveSlots();
+    }
+  },
+
+  refreshSaveSlots() {
+    if (!this.saveCallbacks.listSlots) return;
+    const slots = this.saveCallbacks.listSlots();
+    this.saveSlotList.innerHTML = '';
+    if (slots.length === 0) {
+      this.saveSlotList.textContent = 'No saved slots yet.';
+      return;
+    }
+    for (const slot of slots) {
+      const div = document.createElement('div');
+      div.className = 'save-slot';
+
+      const name = document.createElement('div');
+      name.className = 'save-slot-name';
+      name.textContent = slot.name;
+
+      const meta = document.createElement('div');
+      meta.className = 'save-slot-meta';
+      const when = slot.savedAt ? new Date(slot.savedAt).toLocaleString() : 'unknown time';
+      meta.textContent = `${when} | ${slot.areaName || 'Unknown area'}`;
+      if (slot.warSummary) {
+        meta.appendChild(document.createElement('br'));
+        meta.appendChild(document.createTextNode(slot.warSummary));
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'save-slot-actions';
+      const addAction = (label, callback) => {
+        const button = document.createElement('button');
+        button.className = 'pillButton';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+          if (callback) callback(slot.name);
+        });
+        actions.appendChild(button);
+      };
+      addAction('Load', this.saveCallbacks.onLoad);
+      addAction('Export', this.saveCallbacks.onExport);
+      addAction('Delete', this.saveCallbacks.onDelete);
+
+      div.appendChild(name);
+      div.appendChild(meta);
+      div.appendChild(actions);
+      this.saveSlotList.appendChild(div);
+    }
+  },
+
+  // GRAPHICS ------------------------------------------------------------------
+  toggleGraphicsPanel() {
+    this.graphicsPanel.classList.toggle('hidden');
+  },
+
+  setViewDistance(name) {
+    if (this.viewDistanceSelect) this.viewDistanceSelect.value = name;
+  },
+
+  // MAP -----------------------------------------------------------------------
+  toggleMapPanel() {
+    const open = this.mapPanel.classList.toggle('hidden') === false;
+    if (this.onMapToggled) this.onMapToggled(open);
+  },
+
+  // PLACES & WAYPOINTS --------------------------------------------------------
+  togglePoiPanel() {
+    this.poiPanel.classList.toggle('hidden');
+    if (!this.poiPanel.classList.contains('hidden')) {
+      this.runPoiSearch();
+      this.poiSearchInput.focus();
+    }
+  },
+
+  runPoiSearch() {
+    if (!this.onPoiSearch) return;
+    const { hits, radius } = this.onPoiSearch(this.poiSearchInput.value, this.poiKindSelect.value);
+    this.poiResults.innerHTML = '';
+    if (hits.length === 0) {
+      this.poiResults.textContent = `Nothing found within ${formatDistance(radius)}.`;
+      return;
+    }
+    for (const hit of hits) {
+      const div = document.createElement('div');
+      div.className = 'poi-result';
+      const name = document.createElement('div');
+      name.textContent = hit.poi.name;
+      const meta = document.createElement('div');
+      meta.className = 'poi-result-meta';
+      const status = hit.explored ? '' : ' | unexplored';
+      meta.textContent = `${hit.poi.kind} | ${hit.poi.districtName} | ${formatDistance(hit.distance)}${status}`;
+      div.appendChild(name);
+      div.appendChild(meta);
+      div.addEventListener('click', () => {
+        if (this.onPoiSelected) this.onPoiSelected(hit.poi.id);
+      });
+      this.poiResults.appendChild(div);
+    }
+  },
+
+  setWaypointLabel(name) {
+    this.poiWaypointLabel.textContent = name ? `Waypoint: ${name}` : 'No waypoint set.';
+  },
+
+  // Ticks every 15 degrees, labelled at the eight compass points
+  _buildCompass() {
+    const labels = { 0: 'N', 45: 'NE', 90: 'E', 135: 'SE', 180: 'S', 225: 'SW', 270: 'W', 315: 'NW' };
+    this.compassMarks = [];
+    for (let deg = 0; deg < 360; deg += 15) {
+      const el = document.createElement('div');
+      el.className = labels[deg] ? 'compass-label' : 'compass-tick';
+      if (labels[deg]) el.textContent = labels[deg];
+      this.compassTicks.appendChild(el);
+      this.compassMarks.push({ el, bearing: (deg * Math.PI) / 180 });
+    }
+  },
+
+  // nav: WaypointNavigator.update() result
+  updateNavigation(nav) {
+    const width = this.compassTicks.parentElement.clientWidth;
+    // The strip spans 180 degrees centred on the heading
+    const toStrip = (bearing) => {
+      const rel = Math.atan2(Math.sin(bearing - nav.heading), Math.cos(bearing - nav.heading));
+      return { rel, visible: Math.abs(rel) <= Math.PI / 2, left: width / 2 + (rel / Math.PI) * width };
+    };
+    for (const mark of this.compassMarks) {
+      const { visible, left } = toStrip(mark.bearing);
+      mark.el.style.display = visible ? '' : 'none';
+      mark.el.style.left = `${left}px`;
+    }
+
+    const wp = nav.waypoint;
+    this.compassWaypoint.classList.toggle('hidden', !wp);
+    this.waypointMarker.classList.toggle('hidden', !wp);
+    if (!wp) return;
+    const strip = toStrip(wp.bearing);
+    // Pin to the strip's edge when the waypoint is off to the side
+    this.compassWaypoint.style.left = `${strip.visible ? strip.left : strip.rel > 0 ? width - 6 : 6}px`;
+    this.waypointMarker.style.left = `${wp.screen.x}px`;
+    this.waypointMarker.style.top = `${wp.screen.y}px`;
+    this.waypointMarker.classList.toggle('offscreen', !wp.screen.onScreen);
+    this.waypointMarker.textContent = `${wp.name} | ${formatDistance(wp.distance)}`;
+  },
+
+  // TRANSIT -------------------------------------------------------------------
+  // destinations: TransitNetwork.getDestinations() entries
+  showTransitPanel(station, destinations) {
+    this.transitTitle.textContent = `Transit | ${station.name}`;
+    this.transitDestinations.innerHTML = '';
+    if (destinations.length === 0) {
+      this.transitDestinations.textContent = 'No other stations discovered yet. Explore downtowns to find more.';
+    }
+    for (const { station: dest, distance, blocked } of destinations) {
+      const div = document.createElement('div');
+      div.className = blocked ? 'transit-destination blocked' : 'transit-destination';
+      const name = document.createElement('div');
+      name.textContent = `${dest.name}, ${dest.cityName}`;
+      const meta = document.createElement('div');
+      meta.className = 'poi-result-meta';
+      meta.textContent = blocked ? `${formatDistance(distance)} | contested, no service` : formatDistance(distance);
+      div.appendChild(name);
+      div.appendChild(meta);
+      div.addEventListener('click', () => {
+        if (this.onFastTravel) this.onFastTravel(dest.id);
+      });
+      this.transitDestinations.appendChild(div);
+    }
+    this.transitPanel.classList.remove('hidden');
+  },
+
+  hideTransitPanel() {
+    this.transitPanel.classList.add('hidden');
+  },
+
+  showTravelScreen(destination) {
+    this.travelDestination.textContent = destination;
+    this.setTravelProgress(0);
+    this.travelScreen.classList.remove('hidden');
+  },
+
+  setTravelProgress(fraction) {
+    this.travelProgressFill.style.width = `${Math.round(Math.min(1, fraction) * 100)}%`;
+  },
+
+  hideTravelScreen() {
+    this.travelScreen.classList.add('hidden');
+  },
+
+  // FACTIONS -------------------------------------------------------------------
+  toggleFactionPanel() {
+    this.factionPanel.classList.toggle('hidden');
+  },
+
+  // Redraws the standing panel; standing is the FactionStanding
+  refreshFactionPanel(standing) {
+    if (!this.factionPanel || !this.warManager) return;
+    const factions = this.warManager.factions;
+    const allegiance = standing.allegiance !== null ? factions[standing.allegiance] : null;
+    this.factionSummary.innerHTML = '';
+    const summary = document.createElement('div');
+    summary.textContent = `${allegiance ? `Enlisted with ${allegiance.name}` : 'Unaligned'} | ${standing.credits} credits`;
+    this.factionSummary.appendChild(summary);
+    if (standing.job) {
+      const job = document.createElement('div');
+      job.className = 'poi-result-meta';
+      job.textContent = `Job: ${standing.job.label} (${standing.job.pay} credits)`;
+      const abandon = document.createElement('button');
+      abandon.className = 'pillButton';
+      abandon.textContent = 'Abandon job';
+      abandon.addEventListener('click', () => {
+        if (this.onAbandonJob) this.onAbandonJob();
+      });
+      this.factionSummary.appendChild(job);
+      this.factionSummary.appendChild(abandon);
+    }
+
+    this.factionList.innerHTML = '';
+    for (const faction of factions) {
+      const rep = standing.getReputation(faction.id);
+      const row = document.createElement('div');
+      row.className = 'faction-row';
+      const name = document.createElement('div');
+      name.textContent = `${faction.name}: ${standing.getAttitude(faction.id)} (${rep > 0 ? '+' : ''}${rep})`;
+      name.style.color = faction.color;
+      // Reputation bar, centred on zero
+      const bar = document.createElement('div');
+      bar.className = 'reputation-bar';
+      const fill = document.createElement('div');
+      fill.className = 'reputation-fill';
+      fill.style.background = faction.color;
+      fill.style.left = `${50 + Math.min(0, rep) / 2}%`;
+      fill.style.width = `${Math.abs(rep) / 2}%`;
+      bar.appendChild(fill);
+      row.appendChild(name);
+      row.appendChild(bar);
+      if (faction.id === standing.allegiance) {
+        const desert = document.createElement('button');
+        desert.className = 'pillButton';
+        desert.textContent = 'Desert';
+        desert.addEventListener('click', () => {
+          if (this.onDesert) this.onDesert();
+        });
+        row.appendChild(desert);
+      }
+      this.factionList.appendChild(row);
+    }
+  },
+
+  // view: { baseId, title, info, actions: [{ id, label, blocked }] }.
+  // Blocked actions show their reason instead of being clickable.
+  showBasePanel(view) {
+    this.baseTitle.textContent = view.title;
+    this.baseInfo.textContent = view.info;
+    this.baseActions.innerHTML = '';
+    for (const action of view.actions) {
+      const div = document.createElement('div');
+      div.className = action.blocked ? 'transit-destination blocked' : 'transit-destination';
+      const label = document.createElement('div');
+      label.textContent = action.label;
+      div.appendChild(label);
+      if (action.blocked) {
+        const meta = document.createElement('div');
+        meta.className = 'poi-result-meta';
+        meta.textContent = action.blocked;
+        div.appendChild(meta);
+      }
+      div.addEventListener('click', () => {
+        if (!action.blocked && this.onBaseAction) this.onBaseAction(action.id, view.baseId);
+      });
+      this.baseActions.appendChild(div);
+    }
+    this.basePanel.classList.remove('hidden');
+  },
+
+  hideBasePanel() {
+    this.basePanel.classList.add('hidden');
+  },
+
+  // view: { title, info, credits, stock: [{ item, price, owned, locked }] }
+  showShopPanel(view) {
+    this.shopTitle.textContent = view.title;
+    this.shopInfo.textContent = `${view.info} | ${view.credits} credits`;
+    this.shopStock.innerHTML = '';
+    for (const { item, price, owned, locked } of view.stock) {
+      const div = document.createElement('div');
+      div.className = owned || locked ? 'transit-destination blocked' : 'transit-destination';
+      const name = document.createElement('div');
+      name.textContent = `${item.name} [${item.slot}]`;
+      const meta = document.createElement('div');
+      meta.className = 'poi-result-meta';
+      meta.textContent = owned ? 'Owned' : locked ? `${price} credits | ${locked}` : `${price} credits`;
+      div.appendChild(name);
+      div.appendChild(meta);
+      div.addEventListener('click', () => {
+        if (!owned && !locked && this.onShopBuy) this.onShopBuy(item.id);
+      });
+      this.shopStock.appendChild(div);
+    }
+    this.shopPanel.classList.remove('hidden');
+  },
+
+  hideShopPanel() {
+    this.shopPanel.classList.add('hidden');
+  },
+
+  // Faction chatter joining the ghost chat. attitudes: [{ faction, attitude }]
+  // for every faction ('allied' | 'friendly' | 'neutral' | 'hostile');
+  // neutral factions stay quiet.
+  setFactionChannel(attitudes) {
+    this.factionChannel = attitudes.filter((a) => a.attitude !== 'neutral' && FACTION_LINES[a.faction.id]);
+    this.factions = attitudes.map((a) => a.faction);
+  },
+
   // AREA / WAR STATUS ---------------------------------------------------------
   setAreaName(name) {
     if (this.areaLabel) this.areaLabel.textContent = name;
@@ -173,23 +684,34 @@ export const UI = {
     this.warStatusLabel.textContent = `War status: ${warManager.getStatusSummary()}`;
   },
 
+  // weather: { label } from WeatherSystem
+  setWeather(weather) {
+    if (this.weatherLabel) this.weatherLabel.textContent = `Weather: ${weather.label}`;
+  },
+
+  // The clock shows game time from the TimeOfDay system
   _startClock() {
-    if (!this.clockDisplay) return;
-    const update = () => {
-      const now = new Date(Date.now() + this.clockOffsetMs);
-      const pad = (n) => String(n).padStart(2, '0');
-      const label = `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
-      this.clockDisplay.textContent = label;
-    };
-    this._clockUpdateFn = update;
-    update();
-    setInterval(update, 1000);
+    if (!this.clockDisplay || !this.timeOfDay) return;
+    this.refreshClock();
+    setInterval(() => this.refreshClock(), 1000);
+  },
+
+  refreshClock() {
+    if (!this.clockDisplay || !this.timeOfDay) return;
+    this.clockDisplay.textContent = this.timeOfDay.getClockLabel();
   },
 
   adjustClockHours(deltaHours) {
-    if (!Number.isFinite(deltaHours)) return;
-    this.clockOffsetMs += deltaHours * 60 * 60 * 1000;
-    if (this._clockUpdateFn) this._clockUpdateFn();
+    if (!Number.isFinite(deltaHours) || !this.timeOfDay) return;
+    this.timeOfDay.advanceHours(deltaHours);
+    this.refreshClock();
+  },
+
+  // km/h while driving, null to hide
+  setSpeed(kmh) {
+    if (!this.speedometer) return;
+    this.speedometer.classList.toggle('hidden', kmh === null);
+    if (kmh !== null) this.speedometer.textContent = `${Math.round(kmh)} km/h`;
   },
 
   setHealth(amount) {
@@ -246,7 +768,15 @@ export const UI = {
     ];
 
     const tick = () => {
-      if (Math.random() > 0.6) {
+      const channel = this.factionChannel || [];
+      if (channel.length > 0 && Math.random() > 0.6) {
+        const { faction, attitude } = channel[Math.floor(Math.random() * channel.length)];
+        const rivals = this.factions.filter((f) => f !== faction);
+        const rival = rivals.length > 0 ? rivals[Math.floor(Math.random() * rivals.length)].name : 'the enemy';
+        const lines = FACTION_LINES[faction.id][attitude === 'allied' ? 'radio' : attitude];
+        const speaker = attitude === 'allied' ? `${faction.name} radio` : `${faction.name} local`;
+        this.appendChatMessage(speaker, lines[Math.floor(Math.random() * lines.length)](rival));
+      } else if (Math.random() > 0.6) {
         const name = ghostNames[Math.floor(Math.random() * ghostNames.length)];
         const line = ghostLines[Math.floor(Math.random() * ghostLines.length)];
         this.appendChatMessage(name, line);
@@ -330,3 +860,7 @@ export const UI = {
     ctx.fillText(`${state.genderLabel} | ${state.bodyLabel}`, centerX, 12);
   },
 };
+
+function formatDistance(meters) {
+  return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+}
@@ -0,0 +1,274 @@
+// units.js
+// -----------------------------------------------------------------------------
+// 3D stand-ins for the war simulation's units.
+// - Units whose war cell is a loaded chunk get a low-poly proxy (a squad of
+//   infantry, a tank, a builder truck or an aircraft) in their faction's
+//   colour; the nearest PROXY_LIMIT are shown. Proxies are dropped when their
+//   unit leaves the loaded area or dies.
+// - The sim only steps twice a second. After a step each ground proxy whose
+//   unit moved plans a route over the loaded road network from where it is
+//   shown now to the road node nearest its unit's new position, and walks
+//   that route over the rest of the sim's tick, so movement is smooth and
+//   follows the streets. Without roads to use it drives straight there.
+//   Route planning is spread over frames (PLANS_PER_FRAME); a proxy holds
+//   still until its turn comes, and units that stood still plan nothing.
+// - Aircraft ignore roads and fly straight at altitude.
+// - Read-only: nothing here writes to the war state.
+// -----------------------------------------------------------------------------
+
+import { loadThree } from './three-loader.js';
+import { CHUNK_SIZE, chunkCoord } from './worldgen.js';
+import { warCellToWorld } from './war.js';
+
+const THREE = await loadThree();
+
+const PROXY_LIMIT = 60;
+const ROAD_SNAP_DISTANCE = CHUNK_SIZE; // how far from a road a unit still uses it
+const MAX_ROUTE_DISTANCE = CHUNK_SIZE * 3; // longer hops (e.g. after a load) skip routing
+const AIR_ALTITUDE = 45;
+const AIR_ALTITUDE_SPREAD = 15; // aircraft spread over this band so they don't stack
+const TURN_RATE = 6; // how quickly a proxy swings to face its direction
+const PLANS_PER_FRAME = 6; // road routes planned per frame; the rest wait their turn
+
+const GEOMETRY = {
+  soldier: new THREE.BoxGeometry(0.5, 1.7, 0.35).translate(0, 0.85, 0),
+  hull: new THREE.BoxGeometry(3, 1.1, 4.6).translate(0, 0.75, 0),
+  tankTurret: new THREE.BoxGeometry(1.8, 0.7, 2).translate(0, 1.65, -0.2),
+  gun: new THREE.CylinderGeometry(0.12, 0.12, 2.6, 6).rotateX(Math.PI / 2).translate(0, 1.65, 2),
+  track: new THREE.BoxGeometry(0.6, 0.8, 4.8).translate(0, 0.4, 0),
+  cab: new THREE.BoxGeometry(2.2, 2, 1.8).translate(0, 1.3, 1.8),
+  bed: new THREE.BoxGeometry(2.3, 0.6, 3.6).translate(0, 0.7, -0.9),
+  crate: new THREE.BoxGeometry(1.6, 1.2, 1.6).translate(0, 1.6, -1.2),
+  fuselage: new THREE.BoxGeometry(1.2, 1.1, 7),
+  wings: new THREE.BoxGeometry(9, 0.15, 1.8).translate(0, 0, 0.3),
+  tail: new THREE.BoxGeometry(3, 0.12, 1).translate(0, 0.2, -3),
+  fin: new THREE.BoxGeometry(0.12, 1.4, 1).translate(0, 0.8, -3),
+};
+const darkMat = new THREE.MeshLambertMaterial({ color: 0x23261f });
+const bodyMats = new Map(); // faction colour -> darker body material
+const markMats = new Map(); // faction colour -> full colour for markings
+function factionMaterials(color) {
+  if (!bodyMats.has(color)) {
+    bodyMats.set(color, new THREE.MeshLambertMaterial({ color: new THREE.Color(color).multiplyScalar(0.45) }));
+    markMats.set(color, new THREE.MeshLambertMaterial({ color }));
+  }
+  return { body: bodyMats.get(color), mark: markMats.get(color) };
+}
+
+export class UnitProxyManager {
+  constructor(scene, worldManager, warManager) {
+    this.scene = scene;
+    this.worldManager = worldManager;
+    this.warManager = warManager;
+    this.proxies = new Map(); // unit id -> proxy
+    this.planQueue = []; // proxies waiting for a route to their goal
+    this.lastTick = -1;
+  }
+
+  update(dt, playerPos) {
+    const newTick = this.warManager.tickCount !== this.lastTick;
+    this.lastTick = this.warManager.tickCount;
+
+    // Units over loaded chunks, nearest first
+    const candidates = [];
+    for (const unit of this.warManager.units) {
+      const pos = warCellToWorld(unit.x, unit.y);
+      if (!this.worldManager.chunks.has(`${chunkCoord(pos.x)},${chunkCoord(pos.z)}`)) continue;
+      candidates.push({ unit, pos, dist: Math.hypot(pos.x - playerPos.x, pos.z - playerPos.z) });
+    }
+    candidates.sort((a, b) => a.dist - b.dist);
+
+    const shown = new Set();
+    for (const { unit, pos } of candidates.slice(0, PROXY_LIMIT)) {
+      shown.add(unit.id);
+      let proxy = this.proxies.get(unit.id);
+      if (!proxy) {
+        proxy = this._spawn(unit, pos);
+      } else if (newTick) {
+        this._queuePlan(proxy, pos);
+      }
+    }
+    for (const proxy of [...this.proxies.values()]) {
+      if (!shown.has(proxy.unitId)) this._despawn(proxy);
+    }
+
+    const progress = this.warManager.getTickProgress();
+    this._planQueued(progress);
+    for (const proxy of this.proxies.values()) this._place(proxy, progress, dt);
+  }
+
+  // Drops every proxy, e.g. after the war state was replaced by a loaded save
+  // (whose unit ids may now name other units)
+  clear() {
+    for (const proxy of [...this.proxies.values()]) this._despawn(proxy);
+    this.planQueue = [];
+    this.lastTick = -1;
+  }
+
+  _spawn(unit, pos) {
+    const faction = this.warManager.factions[unit.factionId];
+    const mats = factionMaterials(faction ? faction.color : '#ffffff');
+    const mesh = this._buildMesh(unit.type, mats);
+    const air = unit.type === 'air';
+    const start = air ? this._airPoint(unit.id, pos.x, pos.z) : this._groundPoint(pos.x, pos.z);
+    const proxy = {
+      unitId: unit.id,
+      air,
+      mesh,
+      goal: { x: pos.x, z: pos.z }, // unit position the route leads to
+      queued: false,
+      route: [start],
+      routeLength: 0,
+      legStart: 0, // tick progress when the route was planned
+      position: new THREE.Vector3(start.x, start.y, start.z),
+      heading: 0,
+    };
+    mesh.position.copy(proxy.position);
+    this.scene.add(mesh);
+    this.proxies.set(unit.id, proxy);
+    return proxy;
+  }
+
+  _despawn(proxy) {
+    this.scene.remove(proxy.mesh);
+    this.proxies.delete(proxy.unitId);
+  }
+
+  _buildMesh(type, mats) {
+    const group = new THREE.Group();
+    const add = (geometry, mat, x = 0, z = 0) => {
+      const mesh = new THREE.Mesh(geometry, mat);
+      mesh.position.set(x, 0, z);
+      group.add(mesh);
+    };
+    if (type === 'infantry') {
+      // A small squad walking in a wedge
+      add(GEOMETRY.soldier, mats.body, 0, 0.8);
+      add(GEOMETRY.soldier, mats.body, -0.9, -0.4);
+      add(GEOMETRY.soldier, mats.mark, 0.9, -0.4);
+    } else if (type === 'tank') {
+      add(GEOMETRY.track, darkMat, -1.3);
+      add(GEOMETRY.track, darkMat, 1.3);
+      add(GEOMETRY.hull, mats.body);
+      add(GEOMETRY.tankTurret, mats.mark);
+      add(GEOMETRY.gun, darkMat);
+    } else if (type === 'builder') {
+      add(GEOMETRY.cab, mats.mark);
+      add(GEOMETRY.bed, mats.body);
+      add(GEOMETRY.crate, darkMat);
+    } else {
+      add(GEOMETRY.fuselage, mats.body);
+      add(GEOMETRY.wings, mats.mark);
+      add(GEOMETRY.tail, mats.body);
+      add(GEOMETRY.fin, mats.mark);
+    }
+    return group;
+  }
+
+  // After a sim step: a proxy whose unit moved holds still and waits for a
+  // new leg; one whose unit stayed put finishes the leg it was on
+  _queuePlan(proxy, target) {
+    const end = proxy.route[proxy.route.length - 1];
+    proxy.routeLength = 0;
+    if (target.x === proxy.goal.x && target.z === proxy.goal.z && !proxy.queued) {
+      proxy.route = [end];
+      return;
+    }
+    proxy.route = [{ x: proxy.position.x, y: proxy.position.y, z: proxy.position.z }];
+    proxy.goal = { x: target.x, z: target.z };
+    if (!proxy.queued) {
+      proxy.queued = true;
+      this.planQueue.push(proxy);
+    }
+  }
+
+  // Plans the next few queued routes. Aircraft fly straight, so they don't
+  // count against the budget.
+  _planQueued(progress) {
+    let budget = PLANS_PER_FRAME;
+    while (budget > 0 && this.planQueue.length > 0) {
+      const proxy = this.planQueue.shift();
+      if (this.proxies.get(proxy.unitId) !== proxy) continue; // despawned meanwhile
+      proxy.queued = false;
+      this._plan(proxy, proxy.goal, progress);
+      if (!proxy.air) budget--;
+    }
+  }
+
+  // Starts a new leg from where the proxy is shown towards the unit's
+  // latest sim position, walked over the rest of the tick
+  _plan(proxy, target, progress) {
+    const from = { x: proxy.position.x, y: proxy.position.y, z: proxy.position.z };
+    proxy.legStart = progress;
+    proxy.route = proxy.air
+      ? [from, this._airPoint(proxy.unitId, target.x, target.z)]
+      : this._roadRoute(from, target);
+    proxy.routeLength = 0;
+    for (let i = 1; i < proxy.route.length; i++) {
+      const a = proxy.route[i - 1];
+      const b = proxy.route[i];
+      proxy.routeLength += Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+    }
+  }
+
+  // Nodes of the loaded road network between two points, or a straight
+  // line when there are no roads to take
+  _roadRoute(from, to) {
+    const straight = [from, this._groundPoint(to.x, to.z)];
+    if (Math.hypot(to.x - from.x, to.z - from.z) > MAX_ROUTE_DISTANCE) return straight;
+    const graph = this.worldManager.getRoadGraph();
+    const onGround = (node) => node.kind !== 'highway';
+    const start = graph.nearestNode(from.x, from.z, ROAD_SNAP_DISTANCE, onGround);
+    const goal = graph.nearestNode(to.x, to.z, ROAD_SNAP_DISTANCE, onGround);
+    if (!start || !goal) return straight;
+    const path = start.id === goal.id ? [start] : graph.findPath(start.id, goal.id);
+    if (!path) return straight;
+    return [from, ...path.map((node) => this._groundPoint(node.x, node.z, node.y))];
+  }
+
+  // Road nodes on a highway deck keep their height
+  _groundPoint(x, z, y = 0) {
+    return { x, y: Math.max(this.worldManager.getGroundHeight(x, z), y), z };
+  }
+
+  _airPoint(unitId, x, z) {
+    const band = ((unitId * 7919) % 100) / 100;
+    return { x, y: AIR_ALTITUDE + band * AIR_ALTITUDE_SPREAD, z };
+  }
+
+  // Moves the proxy along its route as far as the tick has got since the
+  // route was planned
+  _place(proxy, progress, dt) {
+    const route = proxy.route;
+    const legProgress = proxy.legStart < 1 ? Math.max(0, (progress - proxy.legStart) / (1 - proxy.legStart)) : 1;
+    let remaining = proxy.routeLength * Math.min(1, legProgress);
+    let point = route[route.length - 1];
+    let dirX = 0;
+    let dirZ = 0;
+    for (let i = 1; i < route.length; i++) {
+      const a = route[i - 1];
+      const b = route[i];
+      const length = Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+      if (length < 1e-6) continue;
+      dirX = b.x - a.x;
+      dirZ = b.z - a.z;
+      if (remaining <= length) {
+        const t = remaining / length;
+        point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+        break;
+      }
+      remaining -= length;
+    }
+    proxy.position.set(point.x, point.y, point.z);
+
+    // Face the way it's going, turning smoothly (forward is +Z at heading 0)
+    if (dirX !== 0 || dirZ !== 0) {
+      const target = Math.atan2(dirX, dirZ);
+      let delta = target - proxy.heading;
+      delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+      proxy.heading += delta * Math.min(1, TURN_RATE * dt);
+    }
+    proxy.mesh.position.copy(proxy.position);
+    proxy.mesh.rotation.y = proxy.heading;
+  }
+}
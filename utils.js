@@ -1,6 +1,6 @@
 // utils.js
 // -----------------------------------------------------------------------------
-// Utility helpers: seeded randomness and naming.
+// Utility helpers: seeded randomness, coherent noise, world seeds and naming.
 // These keep procedural chunks and names consistent based on grid coordinates.
 // -----------------------------------------------------------------------------
 
@@ -11,6 +11,85 @@ export function seededRandom(x, y, seed = 0) {
   return s - Math.floor(s);
 }
 
+// Smooth 2D gradient noise (Perlin-style), roughly in [-1, 1]. Lattice
+// gradients come from seededRandom, so the field depends only on the seed and
+// the world position and is continuous everywhere, chunk borders included.
+export function gradientNoise2D(x, y, seed = 0) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+
+  const corner = (ix, iy, dx, dy) => {
+    const angle = seededRandom(ix, iy, seed) * Math.PI * 2;
+    return Math.cos(angle) * dx + Math.sin(angle) * dy;
+  };
+  const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+
+  const n00 = corner(x0, y0, fx, fy);
+  const n10 = corner(x0 + 1, y0, fx - 1, fy);
+  const n01 = corner(x0, y0 + 1, fx, fy - 1);
+  const n11 = corner(x0 + 1, y0 + 1, fx - 1, fy - 1);
+  const u = fade(fx);
+  const v = fade(fy);
+  const nx0 = n00 + (n10 - n00) * u;
+  const nx1 = n01 + (n11 - n01) * u;
+  return (nx0 + (nx1 - nx0) * v) * Math.SQRT2;
+}
+
+// Several octaves of gradientNoise2D for more natural terrain, in [-1, 1]
+export function fractalNoise2D(x, y, seed = 0, octaves = 3) {
+  let sum = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let norm = 0;
+  for (let i = 0; i < octaves; i++) {
+    sum += gradientNoise2D(x * frequency, y * frequency, seed + i * 31) * amplitude;
+    norm += amplitude;
+    amplitude *= 0.5;
+    frequency *= 2;
+  }
+  return Math.max(-1, Math.min(1, sum / norm));
+}
+
+// WORLD SEEDS -----------------------------------------------------------------
+// One world seed drives every generator. The default world keeps the seeds
+// the game always used, so existing saves and links still match; any other
+// seed derives the rest by hashing.
+export const DEFAULT_WORLD_SEED = 4242;
+const LEGACY_SEEDS = { world: DEFAULT_WORLD_SEED, names: 1337, war: 999, npcs: 555 };
+const MAX_WORLD_SEED = 1000000; // seeds stay small so seededRandom keeps its precision
+const LEGACY_CITY_ROOTS = 10; // city roots the default world names from
+
+function hashSeed(value, salt) {
+  let h = (Math.imul(value ^ 0x9e3779b9, 0x85ebca6b) + salt * 0x27d4eb2f) | 0;
+  h = Math.imul(h ^ (h >>> 15), 0xc2b2ae35);
+  h ^= h >>> 13;
+  return ((h >>> 0) % (MAX_WORLD_SEED - 1)) + 1;
+}
+
+// World seed from user input: integers are used as they are (folded into
+// range), any other text is hashed. Returns null for empty input.
+export function parseWorldSeed(input) {
+  const text = String(input ?? '').trim();
+  if (!text) return null;
+  if (/^-?\d+$/.test(text)) return Math.abs(Number(text)) % MAX_WORLD_SEED;
+  let h = 0;
+  for (let i = 0; i < text.length; i++) h = (Math.imul(h, 31) + text.charCodeAt(i)) | 0;
+  return hashSeed(h, 0);
+}
+
+// { world, names, war, npcs } seeds for a world seed
+export function deriveSeeds(worldSeed) {
+  if (worldSeed === DEFAULT_WORLD_SEED) return { ...LEGACY_SEEDS };
+  return {
+    world: worldSeed,
+    names: hashSeed(worldSeed, 1),
+    war: hashSeed(worldSeed, 2),
+    npcs: hashSeed(worldSeed, 3),
+  };
+}
+
 // Very small PRNG class for systems that walk forward in time (war sim)
 export class Random {
   constructor(seed = 1) {
@@ -48,7 +127,28 @@ export class NameGenerator {
       'Orion',
       'Vega',
       'Helix',
+      // Added later; see cityRootCount
+      'Lumen',
+      'Cobalt',
+      'Meridian',
+      'Solace',
     ];
+    // Roots a city can get. The default world (see deriveSeeds) keeps the
+    // original ten so its place names, and the saves that mention them, stay
+    // the same; other worlds draw from all of them.
+    this.cityRootCount = seed === LEGACY_SEEDS.names ? LEGACY_CITY_ROOTS : this.cityRoots.length;
+    this.wildSuffixes = ['Wilds', 'Badlands', 'Reach', 'Expanse'];
+    this.sectorPrefixes = {
+      north: ['North', 'Upper', 'Hillcrest'],
+      east: ['East', 'Harbor', 'Sunrise'],
+      south: ['South', 'Lower', 'Riverside'],
+      west: ['West', 'Old Town', 'Sunset'],
+    };
+    this.districtNouns = {
+      suburb: ['Heights', 'Gardens', 'Terraces', 'Village', 'Estates'],
+      park: ['Commons', 'Green', 'Woods', 'Reserve'],
+      wasteland: ['Barrens', 'Scrapyards', 'Flats', 'Dust Fields'],
+    };
     this.poiRoots = ['Shop', 'Mall', 'Town', 'Park', 'Yard', 'Depot', 'Block', 'Tower'];
     this.suffixes = ['-1', '-2', '-3', '-4', '-5', '-7', '-9', ' Prime'];
   }
@@ -60,7 +160,7 @@ export class NameGenerator {
   }
 
   getCityRootForCoords(x, y) {
-    const idx = this._hashInt(x, y, 3, this.cityRoots.length);
+    const idx = this._hashInt(x, y, 3, this.cityRootCount);
     return this.cityRoots[idx];
   }
 
@@ -77,6 +177,26 @@ export class NameGenerator {
     return `${root} City, Block ${block}`;
   }
 
+  // Name shared by every chunk of a district region (see districts.js)
+  getRegionName(rx, ry, urban) {
+    const root = this.getCityRootForCoords(rx, ry);
+    if (urban) return `${root} City`;
+    return `${root} ${this.wildSuffixes[this._hashInt(rx, ry, 5, this.wildSuffixes.length)]}`;
+  }
+
+  // District within a region, from its ring ('downtown', 'suburb', 'park',
+  // 'wasteland', 'highway') and compass sector around the region core
+  getDistrictName(ring, sector, rx, ry) {
+    if (ring === 'downtown') return 'Downtown';
+    if (ring === 'highway') return `${this.getCityRootForCoords(rx, ry)} Expressway`;
+    const sectorIndex = ['north', 'east', 'south', 'west'].indexOf(sector);
+    const prefixes = this.sectorPrefixes[sector];
+    const nouns = this.districtNouns[ring];
+    const prefix = prefixes[this._hashInt(rx, ry, 17 + sectorIndex, prefixes.length)];
+    const noun = nouns[this._hashInt(rx, ry, 23 + sectorIndex, nouns.length)];
+    return `${prefix} ${noun}`;
+  }
+
   getAreaName(type, x, y) {
     // Different prefixes per type
     if (type === 'city') {
@@ -98,9 +218,10 @@ export class NameGenerator {
     return `Unmapped Block ${block}`;
   }
 
-  getPoiName(kind, x, y, index = 0) {
+  // cityRoot lets callers that know the surrounding city keep POIs on-brand
+  getPoiName(kind, x, y, index = 0, cityRoot = null) {
     const root = this.poiRoots[this._hashInt(x, y, 7 + index, this.poiRoots.length)];
-    const city = this.getCityRootForCoords(x, y);
+    const city = cityRoot || this.getCityRootForCoords(x, y);
     const suf = this.suffixes[this._hashInt(x, y, 11 + index, this.suffixes.length)];
     if (kind === 'shop') {
       return `Shop ${city}${suf}`;
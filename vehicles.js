@@ -0,0 +1,229 @@
+// vehicles.js
+// -----------------------------------------------------------------------------
+// Drivable cars.
+// - Parked cars come from chunk descriptors (worldgen's `vehicles`) and are
+//   spawned while their chunk is loaded at full detail. A car that has been
+//   driven remembers where it was left and respawns there instead of at its
+//   kerb spot, so moved cars don't duplicate or snap back.
+// - Driving is arcade-style: throttle accelerates up to a top speed, braking
+//   and reversing share the back key, steering tightens at low speed and
+//   needs the car to be rolling. The car collides as a circle against the
+//   world's colliders (the same handleCollisions the player uses), loses
+//   speed when it hits something, and follows the surface under it so decks
+//   and ramps are drivable.
+// - Parked cars push the walking player out of them.
+// - Where moved cars were left is saved.
+// -----------------------------------------------------------------------------
+
+import { loadThree } from './three-loader.js';
+import { chunkCoord } from './worldgen.js';
+
+const THREE = await loadThree();
+
+const VEHICLE_RADIUS = 1.5; // collision circle
+const MAX_SPEED = 28; // m/s forwards
+const MAX_REVERSE_SPEED = 7;
+const ACCELERATION = 11;
+const BRAKING = 26;
+const ROLLING_RESISTANCE = 3; // deceleration when coasting
+const HANDBRAKE = 40;
+const STEER_RATE = 2.1; // rad/s at parking speed
+const GRAVITY = -18;
+const IMPACT_SPEED_LOSS = 0.4; // share of speed kept after a hit
+
+// Shared look: one body geometry scaled per car, colour materials cached
+const GEOMETRY = {
+  body: new THREE.BoxGeometry(1.8, 0.7, 4.2),
+  cabin: new THREE.BoxGeometry(1.6, 0.6, 2.2),
+  wheel: new THREE.CylinderGeometry(0.38, 0.38, 0.3, 10).rotateZ(Math.PI / 2),
+};
+const cabinMat = new THREE.MeshLambertMaterial({ color: 0x1a222c });
+const wheelMat = new THREE.MeshLambertMaterial({ color: 0x111111 });
+const bodyMats = new Map();
+function bodyMaterial(color) {
+  let mat = bodyMats.get(color);
+  if (!mat) {
+    mat = new THREE.MeshLambertMaterial({ color });
+    bodyMats.set(color, mat);
+  }
+  return mat;
+}
+
+export class VehicleManager {
+  constructor(scene, worldManager) {
+    this.scene = scene;
+    this.worldManager = worldManager;
+    this.spawned = new Map(); // id -> vehicle with a mesh in the scene
+    this.moved = new Map(); // id -> { id, x, y, z, heading, color } of cars left off their kerb spot
+    this.driven = null; // vehicle the player is in
+  }
+
+  // Spawns cars of freshly loaded chunks (and moved cars whose new spot has
+  // loaded) and despawns cars whose ground has unloaded
+  update() {
+    const chunks = this.worldManager.chunks;
+    const loaded = (x, z) => {
+      const chunk = chunks.get(`${chunkCoord(x)},${chunkCoord(z)}`);
+      return !!chunk && chunk.lod === 'full';
+    };
+
+    for (const chunk of chunks.values()) {
+      if (chunk.lod !== 'full') continue;
+      for (const parked of chunk.data.vehicles || []) {
+        if (!this.spawned.has(parked.id) && !this.moved.has(parked.id)) this._spawn(parked);
+      }
+    }
+    for (const record of this.moved.values()) {
+      if (!this.spawned.has(record.id) && loaded(record.x, record.z)) this._spawn(record);
+    }
+    for (const vehicle of this.spawned.values()) {
+      if (vehicle !== this.driven && !loaded(vehicle.position.x, vehicle.position.z)) this._despawn(vehicle);
+    }
+  }
+
+  _spawn(record) {
+    const mesh = new THREE.Group();
+    const body = new THREE.Mesh(GEOMETRY.body, bodyMaterial(record.color));
+    body.position.y = 0.75;
+    const cabin = new THREE.Mesh(GEOMETRY.cabin, cabinMat);
+    cabin.position.set(0, 1.4, -0.3);
+    mesh.add(body, cabin);
+    for (const [wx, wz] of [[-0.9, 1.3], [0.9, 1.3], [-0.9, -1.3], [0.9, -1.3]]) {
+      const wheel = new THREE.Mesh(GEOMETRY.wheel, wheelMat);
+      wheel.position.set(wx, 0.38, wz);
+      mesh.add(wheel);
+    }
+    const vehicle = {
+      id: record.id,
+      color: record.color,
+      position: new THREE.Vector3(record.x, record.y, record.z),
+      heading: record.heading,
+      speed: 0,
+      velocityY: 0,
+      mesh,
+    };
+    this._syncMesh(vehicle);
+    this.scene.add(mesh);
+    this.spawned.set(vehicle.id, vehicle);
+    return vehicle;
+  }
+
+  _despawn(vehicle) {
+    this.scene.remove(vehicle.mesh);
+    this.spawned.delete(vehicle.id);
+  }
+
+  _syncMesh(vehicle) {
+    vehicle.mesh.position.copy(vehicle.position);
+    vehicle.mesh.rotation.y = vehicle.heading;
+  }
+
+  getNearby(pos, maxDist) {
+    let best = null;
+    let bestDist = maxDist;
+    for (const vehicle of this.spawned.values()) {
+      const dist = Math.hypot(pos.x - vehicle.position.x, pos.z - vehicle.position.z);
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = vehicle;
+      }
+    }
+    return best;
+  }
+
+  enter(vehicle) {
+    this.driven = vehicle;
+    vehicle.speed = 0;
+  }
+
+  // Leaves the car where it stands and returns a spot beside the driver's door
+  exit() {
+    const vehicle = this.driven;
+    if (!vehicle) return null;
+    this.driven = null;
+    vehicle.speed = 0;
+    const { x, y, z } = vehicle.position;
+    this.moved.set(vehicle.id, { id: vehicle.id, x, y, z, heading: vehicle.heading, color: vehicle.color });
+    // Driver's side is the car's left (+X when heading 0)
+    const side = VEHICLE_RADIUS + 1;
+    return new THREE.Vector3(x + Math.cos(vehicle.heading) * side, y, z - Math.sin(vehicle.heading) * side);
+  }
+
+  // input: { throttle, brake, steer (-1 right .. 1 left), handbrake }
+  // collisionFn(pos, radius, eyeHeight) -> walkable height under pos; the
+  // car's position is its underside, so its "eye height" is 0
+  drive(dt, input, collisionFn) {
+    const v = this.driven;
+    if (!v) return;
+
+    if (input.throttle) {
+      v.speed += (v.speed < 0 ? BRAKING : ACCELERATION) * dt;
+    } else if (input.brake) {
+      v.speed -= (v.speed > 0 ? BRAKING : ACCELERATION * 0.6) * dt;
+    } else {
+      v.speed -= Math.sign(v.speed) * Math.min(Math.abs(v.speed), ROLLING_RESISTANCE * dt);
+    }
+    if (input.handbrake) v.speed -= Math.sign(v.speed) * Math.min(Math.abs(v.speed), HANDBRAKE * dt);
+    v.speed = Math.min(MAX_SPEED, Math.max(-MAX_REVERSE_SPEED, v.speed));
+
+    // Steering needs the wheels rolling and is gentler at speed
+    const grip = Math.min(1, Math.abs(v.speed) / 5) * (1 - 0.55 * (Math.abs(v.speed) / MAX_SPEED));
+    v.heading += input.steer * STEER_RATE * grip * Math.sign(v.speed) * dt;
+
+    const targetX = v.position.x + Math.sin(v.heading) * v.speed * dt;
+    const targetZ = v.position.z + Math.cos(v.heading) * v.speed * dt;
+    v.position.x = targetX;
+    v.position.z = targetZ;
+    const supportY = collisionFn(v.position, VEHICLE_RADIUS, 0) ?? 0;
+    // Pushed back by a wall: the hit costs speed
+    if (Math.hypot(v.position.x - targetX, v.position.z - targetZ) > 0.01) v.speed *= IMPACT_SPEED_LOSS;
+
+    // Follow the surface, falling off ledges and decks
+    v.velocityY += GRAVITY * dt;
+    v.position.y += v.velocityY * dt;
+    if (v.position.y - supportY < 0.5) {
+      v.position.y = supportY;
+      v.velocityY = 0;
+    }
+    this._syncMesh(v);
+  }
+
+  getSpeed() {
+    return this.driven ? this.driven.speed : 0;
+  }
+
+  // Keeps a walker (circle at pos) out of parked cars
+  pushOut(pos, radius) {
+    for (const vehicle of this.spawned.values()) {
+      if (vehicle === this.driven) continue;
+      const dx = pos.x - vehicle.position.x;
+      const dz = pos.z - vehicle.position.z;
+      const dist = Math.hypot(dx, dz);
+      const min = radius + VEHICLE_RADIUS;
+      if (dist >= min || dist < 1e-6) continue;
+      if (pos.y - vehicle.position.y > 2.2) continue; // standing on the roof
+      pos.x = vehicle.position.x + (dx / dist) * min;
+      pos.z = vehicle.position.z + (dz / dist) * min;
+    }
+  }
+
+  // Cars off their kerb spot, including the one being driven right now
+  serialize() {
+    const moved = [...this.moved.values()].map((r) => ({ ...r }));
+    const v = this.driven;
+    if (v) {
+      const record = { id: v.id, x: v.position.x, y: v.position.y, z: v.position.z, heading: v.heading, color: v.color };
+      const index = moved.findIndex((r) => r.id === v.id);
+      if (index >= 0) moved[index] = record;
+      else moved.push(record);
+    }
+    return { moved };
+  }
+
+  restore(data) {
+    for (const vehicle of [...this.spawned.values()]) this._despawn(vehicle);
+    this.driven = null;
+    this.moved.clear();
+    for (const r of data.moved || []) this.moved.set(r.id, { ...r });
+  }
+}
@@ -4,8 +4,22 @@
 // - Factions have bases with resources and units (infantry / tank / air).
 // - Bases gather resources over time; resources -> spawning units and builder
 //   convoys that found new bases.
-// - Combat is resolved in a coarse 2D grid.
+// - What bases build and where units go is decided by each faction's strategy
+//   (see strategies.js): aggressive, expansionist or turtle, swappable at
+//   runtime with setStrategy. Strategies see the sim through getForces,
+//   getThreat, getGarrison and getControlAt.
+// - Combat is resolved in a coarse 2D grid. Builder convoys are used up when
+//   they reach their site, whether or not they could build there.
+// - Territory: every cell is held by the faction with the most presence there
+//   (nearby bases, weighted by distance and hp, plus fighting units on it),
+//   or contested when a rival comes close to matching it. Control is worked
+//   out on demand and cached until the next sim step.
 // - Notifications are pushed out via a callback provided from main/UI.
+// - Places in event messages are named through an optional describeLocation
+//   callback so they match the world's district names.
+// - The war grid is the world's chunk grid: cell (x, y) is chunk (x, y), and
+//   a base in a cell stands at that chunk's centre. warCellToWorld and
+//   worldToWarCell are the only conversions between the two.
 //
 // This is intentionally "lightweight" and does not simulate every bullet; it's
 // aimed at feeling like an autonomous war engine that occasionally reports
@@ -13,6 +27,31 @@
 // -----------------------------------------------------------------------------
 
 import { Random } from './utils.js';
+import { CHUNK_SIZE, chunkCoord } from './worldgen.js';
+import { STRATEGIES, DEFAULT_STRATEGIES } from './strategies.js';
+
+const TICK_SECONDS = 0.5; // the sim runs at 2 Hz
+const CONTROL_RADIUS = 3; // cells a base projects control over, fading with distance
+const UNIT_CONTROL_RADIUS = 1; // fighting units only hold the ground they stand on
+const UNIT_CONTROL_WEIGHT = 0.2; // one unit against a full-strength base next door
+const CONTEST_RATIO = 0.5; // a rival at least this strong against the leader contests a cell
+const UNIT_COSTS = { infantry: 25, tank: 40, air: 35 };
+const CONVOY_COST = 80;
+const RELOAD_TICKS = 20; // steps between a unit's hits on a base
+const RETHINK_TICKS = 4; // fighting units on the move rethink their target this often
+const THREAT_RADIUS = 2; // enemy units this close to a base threaten it
+const THREAT_APPROACH = 6; // ...as do ones heading for it from this far
+
+// World position (x, z) of a war grid position; fractional positions (units
+// on the move) map in between chunk centres
+export function warCellToWorld(x, y) {
+  return { x: x * CHUNK_SIZE, z: y * CHUNK_SIZE };
+}
+
+// War grid cell containing a world position
+export function worldToWarCell(x, z) {
+  return { x: chunkCoord(x), y: chunkCoord(z) };
+}
 
 class Faction {
   constructor(name, color, id) {
@@ -23,10 +62,13 @@ class Faction {
 }
 
 export class WarManager {
-  constructor(nameGen, onEvent) {
+  // describeLocation(x, y) names a war grid cell; defaults to a city name.
+  // seed drives the simulation's PRNG (see deriveSeeds).
+  constructor(nameGen, onEvent, describeLocation, seed = 999) {
     this.nameGen = nameGen;
     this.onEvent = onEvent || (() => {});
-    this.random = new Random(999);
+    this.describeLocation = describeLocation || ((x, y) => nameGen.getAreaName('city', x, y));
+    this.random = new Random(seed);
 
     this.factions = [
       new Faction('Faction A', '#ff5555', 0),
@@ -39,7 +81,16 @@ export class WarManager {
     this.lastBaseId = 0;
     this.lastUnitId = 0;
 
+    this.strategyNames = this.factions.map((f) => DEFAULT_STRATEGIES[f.id]);
+    this.forces = null; // per-faction base and unit counts, for the current step
+    this.threats = new Map(); // base id -> threat, for the current step
+    this.garrisons = new Map(); // base id -> own fighting units at it (oldest first), for the current step
+
     this.timeAccumulator = 0;
+    this.tickCount = 0; // sim steps run so far; presentation layers watch it
+    this.controlCache = new Map(); // "x,y" -> control, for the current tick
+    this.controlTick = -1;
+    this.territory = null; // per-faction cell counts, for the current tick
     this.recentEvents = [];
 
     this._initStartingBases();
@@ -72,7 +123,7 @@ export class WarManager {
 
     if (!silent) {
       const faction = this.factions[factionId];
-      const areaName = this.nameGen.getAreaName('city', x, y);
+      const areaName = this.describeLocation(x, y);
       this._pushEvent(`${faction.name} established a new base near ${areaName}.`);
     }
     return base;
@@ -90,6 +141,7 @@ export class WarManager {
       hp: type === 'tank' ? 40 : type === 'air' ? 30 : 20,
     };
     this.units.push(unit);
+    if (this.forces) this.forces[factionId][type]++;
     return unit;
   }
 
@@ -101,49 +153,32 @@ export class WarManager {
 
   update(dt) {
     this.timeAccumulator += dt;
-    if (this.timeAccumulator < 1 / 2) {
+    if (this.timeAccumulator < TICK_SECONDS) {
       // Run logic ~2 times per second
       return;
     }
     this.timeAccumulator = 0;
+    this.tickCount++;
+
+    this._assess();
 
-    // Bases gather resources and occasionally spawn units/builder convoys
+    // Bases gather resources and spend them as their faction's strategy says
     for (const base of this.bases) {
       const gather = 5 + this.random.int(0, 5);
       base.resources += gather;
 
-      // If resources are plentiful, spawn more units
-      if (base.resources > 80) {
-        const choice = this.random.next();
-        let type = 'infantry';
-        let cost = 25;
-        if (choice > 0.75) {
-          type = 'tank';
-          cost = 40;
-        } else if (choice > 0.5) {
-          type = 'air';
-          cost = 35;
-        }
-        if (base.resources >= cost) {
-          base.resources -= cost;
-          const target = this._pickEnemyLocation(base.factionId);
-          this._createUnit(base.factionId, base.x, base.y, type, target.x, target.y);
-        }
+      const plan = this.getStrategy(base.factionId).planBase(base, this);
+      if (plan.repair > 0 && base.resources >= plan.repair) {
+        base.resources -= plan.repair;
+        base.hp = Math.min(100, base.hp + plan.repair);
       }
-
-      // Occasionally launch a base-building convoy
-      if (base.resources > 120 && this.random.next() > 0.7) {
-        base.resources -= 80;
-        const dir = this.random.int(0, 3);
-        const offset = [
-          { x: 3, y: 0 },
-          { x: -3, y: 0 },
-          { x: 0, y: 3 },
-          { x: 0, y: -3 },
-        ][dir];
-        const tx = base.x + offset.x;
-        const ty = base.y + offset.y;
-        this._createUnit(base.factionId, base.x, base.y, 'builder', tx, ty);
+      if (plan.spawn && base.resources >= UNIT_COSTS[plan.spawn]) {
+        base.resources -= UNIT_COSTS[plan.spawn];
+        this._retask(this._createUnit(base.factionId, base.x, base.y, plan.spawn, base.x, base.y));
+      }
+      if (plan.convoyTo && base.resources >= CONVOY_COST) {
+        base.resources -= CONVOY_COST;
+        this._createUnit(base.factionId, base.x, base.y, 'builder', plan.convoyTo.x, plan.convoyTo.y);
       }
     }
 
@@ -151,13 +186,74 @@ export class WarManager {
     this._updateUnits();
   }
 
-  _pickEnemyLocation(factionId) {
-    const enemies = this.bases.filter((b) => b.factionId !== factionId);
-    if (enemies.length === 0) {
-      return { x: 0, y: 0 };
+  // STRATEGY --------------------------------------------------------------------
+  getStrategy(factionId) {
+    return STRATEGIES[this.strategyNames[factionId]];
+  }
+
+  getStrategyName(factionId) {
+    return this.strategyNames[factionId];
+  }
+
+  // Switches a faction's strategy; its fighting units pick new targets
+  // straight away. Returns why it couldn't, or null.
+  setStrategy(factionId, name) {
+    if (!this.factions[factionId]) return `No faction ${factionId}.`;
+    if (!Object.hasOwn(STRATEGIES, name)) return `Unknown strategy "${name}". Try ${Object.keys(STRATEGIES).join(', ')}.`;
+    this.strategyNames[factionId] = name;
+    this._assess();
+    for (const u of this.units) {
+      if (u.factionId === factionId && u.type !== 'builder') this._retask(u);
     }
-    const b = enemies[this.random.int(0, enemies.length - 1)];
-    return { x: b.x, y: b.y };
+    return null;
+  }
+
+  // { bases, infantry, tank, air, builder } the faction has this step
+  getForces(factionId) {
+    return this.forces[factionId];
+  }
+
+  // Enemy fighting units near a base or heading for it, this step
+  getThreat(base) {
+    return this.threats.get(base.id) || 0;
+  }
+
+  // Own fighting units standing at a base this step, oldest first
+  getGarrison(base) {
+    return this.garrisons.get(base.id) || [];
+  }
+
+  // Counts forces, threats and garrisons once per step for the strategies
+  // to read
+  _assess() {
+    this.forces = this.factions.map(() => ({ bases: 0, infantry: 0, tank: 0, air: 0, builder: 0 }));
+    for (const b of this.bases) this.forces[b.factionId].bases++;
+    for (const u of this.units) this.forces[u.factionId][u.type]++;
+
+    this.threats.clear();
+    this.garrisons.clear();
+    for (const b of this.bases) {
+      let threat = 0;
+      const garrison = [];
+      for (const u of this.units) {
+        if (u.type === 'builder') continue;
+        const d = Math.hypot(u.x - b.x, u.y - b.y);
+        if (u.factionId === b.factionId) {
+          if (d < 1.0) garrison.push(u);
+          continue;
+        }
+        const inbound = d <= THREAT_APPROACH && Math.hypot(u.tx - b.x, u.ty - b.y) < 1.0;
+        if (d <= THREAT_RADIUS || inbound) threat++;
+      }
+      if (threat > 0) this.threats.set(b.id, threat);
+      if (garrison.length > 0) this.garrisons.set(b.id, garrison);
+    }
+  }
+
+  _retask(unit) {
+    const target = this.getStrategy(unit.factionId).pickTarget(unit, this);
+    unit.tx = target.x;
+    unit.ty = target.y;
   }
 
   _updateUnits() {
@@ -168,6 +264,13 @@ export class WarManager {
       builder: 0.4,
     };
 
+    // Orders change with the war: units on the move check theirs now and then
+    if (this.tickCount % RETHINK_TICKS === 0) {
+      for (const u of this.units) {
+        if (u.type !== 'builder') this._retask(u);
+      }
+    }
+
     for (const u of this.units) {
       const speed = moveSpeed[u.type] || 0.5;
       const dx = u.tx - u.x;
@@ -180,33 +283,37 @@ export class WarManager {
       } else {
         // Reached target
         if (u.type === 'builder') {
-          // Try to found a base if location is empty
+          // Try to found a base if location is empty; the convoy is used up
           const existing = this.bases.find(
             (b) => Math.hypot(b.x - u.x, b.y - u.y) < 1.0
           );
           if (!existing) {
             this._createBase(u.factionId, Math.round(u.x), Math.round(u.y));
           }
+          u.hp = 0;
         } else {
-          // Combat: damage any enemy base at location
-          const enemyBases = this.bases.filter(
-            (b) =>
-              b.factionId !== u.factionId &&
-              Math.hypot(b.x - u.x, b.y - u.y) < 1.0
-          );
-          for (const eb of enemyBases) {
-            eb.hp -= u.type === 'tank' ? 30 : u.type === 'air' ? 20 : 10;
-            if (eb.hp <= 0) {
-              this._destroyBase(eb);
+          // Combat: damage any enemy base at location, then reload while
+          // holding position (sieging units stay until told otherwise)
+          if (!(u.reload > 0)) {
+            const enemyBases = this.bases.filter(
+              (b) =>
+                b.factionId !== u.factionId &&
+                Math.hypot(b.x - u.x, b.y - u.y) < 1.0
+            );
+            for (const eb of enemyBases) {
+              eb.hp -= u.type === 'tank' ? 30 : u.type === 'air' ? 20 : 10;
+              u.reload = RELOAD_TICKS;
+              if (eb.hp <= 0) {
+                this._destroyBase(eb);
+              }
             }
           }
-        }
 
-        // Retask: pick new enemy location
-        const target = this._pickEnemyLocation(u.factionId);
-        u.tx = target.x;
-        u.ty = target.y;
+          // Retask: the strategy picks where to go next
+          this._retask(u);
+        }
       }
+      if (u.reload > 0) u.reload--;
     }
 
     // Unit vs unit skirmishes (very rough)
@@ -227,29 +334,166 @@ export class WarManager {
     this.units = this.units.filter((u) => u.hp > 0);
   }
 
+  // Damage from outside the sim (the player's sabotage)
+  sabotageBase(baseId, amount) {
+    const base = this.bases.find((b) => b.id === baseId);
+    if (!base) return;
+    const faction = this.factions[base.factionId];
+    base.hp -= amount;
+    this._pushEvent(`Saboteurs struck ${faction.name}'s base near ${this.describeLocation(base.x, base.y)}.`);
+    if (base.hp <= 0) this._destroyBase(base);
+  }
+
   _destroyBase(base) {
     const idx = this.bases.indexOf(base);
     if (idx >= 0) {
       this.bases.splice(idx, 1);
       const faction = this.factions[base.factionId];
-      const areaName = this.nameGen.getAreaName('city', base.x, base.y);
+      const areaName = this.describeLocation(base.x, base.y);
       this._pushEvent(
         `${faction.name} lost a base near ${areaName} in heavy fighting.`
       );
     }
   }
 
+  // Save data: the whole sim state, including the PRNG position so a restored
+  // war keeps unfolding the same way it would have.
+  serialize() {
+    return {
+      bases: this.bases.map((b) => ({ ...b })),
+      units: this.units.map((u) => ({ ...u })),
+      lastBaseId: this.lastBaseId,
+      lastUnitId: this.lastUnitId,
+      randomSeed: this.random.seed,
+      recentEvents: this.recentEvents.map((e) => e.msg),
+      strategies: [...this.strategyNames],
+    };
+  }
+
+  restore(data) {
+    if (!data) return;
+    this.bases = (data.bases || []).map((b) => ({ ...b }));
+    this.units = (data.units || []).map((u) => ({ ...u }));
+    this.lastBaseId = data.lastBaseId || 0;
+    this.lastUnitId = data.lastUnitId || 0;
+    if (Number.isFinite(data.randomSeed)) this.random.seed = data.randomSeed >>> 0;
+    const now = performance.now();
+    this.recentEvents = (data.recentEvents || []).map((msg) => ({ t: now, msg }));
+    // Saves from before strategies (or naming unknown ones) get the defaults
+    this.strategyNames = this.factions.map((f) => {
+      const name = data.strategies ? data.strategies[f.id] : null;
+      return Object.hasOwn(STRATEGIES, name) ? name : DEFAULT_STRATEGIES[f.id];
+    });
+    this.timeAccumulator = 0;
+    this.controlTick = -1;
+    this.forces = null;
+  }
+
   // Returns a short war status string
   getStatusSummary() {
+    const cells = this._getTerritory();
     const counts = this.factions.map((f) => ({
       f,
       bases: this.bases.filter((b) => b.factionId === f.id).length,
+      cells: cells[f.id],
     }));
     return counts
-      .map((c) => `${c.f.name}: ${c.bases} bases`)
+      .map((c) => `${c.f.name}: ${c.bases} bases, ${c.cells} cells`)
       .join(' | ');
   }
 
+  // TERRITORY -------------------------------------------------------------------
+  // { factionId, contested, rivalIds } for a war cell. factionId is the
+  // strongest faction there, or null when nobody has any presence; rivalIds
+  // are the factions strong enough to contest it.
+  getControlAt(x, y) {
+    if (this.controlTick !== this.tickCount) {
+      this.controlCache.clear();
+      this.territory = null;
+      this.controlTick = this.tickCount;
+    }
+    const key = `${x},${y}`;
+    let control = this.controlCache.get(key);
+    if (!control) {
+      control = this._computeControl(x, y);
+      this.controlCache.set(key, control);
+    }
+    return control;
+  }
+
+  _computeControl(x, y) {
+    const strengths = this.factions.map(() => 0);
+    for (const b of this.bases) {
+      const d = Math.hypot(b.x - x, b.y - y);
+      if (d >= CONTROL_RADIUS) continue;
+      const health = 0.5 + 0.5 * Math.max(0, Math.min(100, b.hp)) / 100;
+      strengths[b.factionId] += (1 - d / CONTROL_RADIUS) * health;
+    }
+    for (const u of this.units) {
+      if (u.type === 'builder') continue;
+      if (Math.hypot(u.x - x, u.y - y) <= UNIT_CONTROL_RADIUS) strengths[u.factionId] += UNIT_CONTROL_WEIGHT;
+    }
+
+    let leader = null;
+    for (const f of this.factions) {
+      if (strengths[f.id] > 0 && (leader === null || strengths[f.id] > strengths[leader])) leader = f.id;
+    }
+    if (leader === null) return { factionId: null, contested: false, rivalIds: [] };
+    const rivalIds = this.factions
+      .filter((f) => f.id !== leader && strengths[f.id] >= strengths[leader] * CONTEST_RATIO)
+      .map((f) => f.id);
+    return { factionId: leader, contested: rivalIds.length > 0, rivalIds };
+  }
+
+  // "held by Faction B", "contested by Faction A and Faction C" or null for
+  // unclaimed ground
+  describeControl(x, y) {
+    const control = this.getControlAt(x, y);
+    if (control.factionId === null) return null;
+    const leader = this.factions[control.factionId].name;
+    if (!control.contested) return `held by ${leader}`;
+    const rivals = control.rivalIds.map((id) => this.factions[id].name);
+    return `contested by ${[leader, ...rivals].join(' and ')}`;
+  }
+
+  // Uncontested cells held per faction. Only cells within reach of a base
+  // or under a fighting unit can be held, so those are the ones counted.
+  _getTerritory() {
+    this.getControlAt(0, 0); // drops last tick's cache
+    if (this.territory) return this.territory;
+    const cells = new Set();
+    const reach = Math.ceil(CONTROL_RADIUS);
+    for (const b of this.bases) {
+      for (let dy = -reach; dy <= reach; dy++) {
+        for (let dx = -reach; dx <= reach; dx++) cells.add(`${b.x + dx},${b.y + dy}`);
+      }
+    }
+    for (const u of this.units) {
+      if (u.type !== 'builder') cells.add(`${Math.round(u.x)},${Math.round(u.y)}`);
+    }
+    const counts = this.factions.map(() => 0);
+    for (const key of cells) {
+      const [x, y] = key.split(',').map(Number);
+      const control = this.getControlAt(x, y);
+      if (control.factionId !== null && !control.contested) counts[control.factionId]++;
+    }
+    this.territory = counts;
+    return counts;
+  }
+
+  // How far (0..1) the sim is towards its next step, for interpolating
+  getTickProgress() {
+    return Math.min(1, this.timeAccumulator / TICK_SECONDS);
+  }
+
+  getBaseAt(x, y) {
+    return this.bases.find((b) => b.x === x && b.y === y) || null;
+  }
+
+  isContested(x, y) {
+    return this.getControlAt(x, y).contested;
+  }
+
   // Used by NPCs to mention something "recent"
   getRandomRecentEvent() {
     if (this.recentEvents.length === 0) return null;
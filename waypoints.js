@@ -0,0 +1,88 @@
+// waypoints.js
+// -----------------------------------------------------------------------------
+// Waypoint navigation.
+// - Holds at most one waypoint (a POI or any world position) and, every
+//   frame, works out what the HUD needs: the camera's compass heading, the
+//   waypoint's bearing and distance, and where its marker goes on screen.
+// - Bearings are compass angles in radians: 0 = north (-Z), growing
+//   clockwise towards east (+X).
+// - Markers for off-screen or behind-the-camera waypoints are pinned to the
+//   screen edge in the waypoint's direction.
+// -----------------------------------------------------------------------------
+
+import { loadThree } from './three-loader.js';
+
+const THREE = await loadThree();
+
+const ARRIVAL_DISTANCE = 4; // metres
+const MARKER_HEIGHT = 2.5; // marker floats above the waypoint
+const EDGE_MARGIN = 40; // pixels kept between a pinned marker and the edge
+
+export function compassBearing(dx, dz) {
+  return Math.atan2(dx, -dz);
+}
+
+export class WaypointNavigator {
+  constructor(camera) {
+    this.camera = camera;
+    this.waypoint = null; // { poiId, name, x, y, z }
+    this._direction = new THREE.Vector3();
+    this._projected = new THREE.Vector3();
+  }
+
+  set(waypoint) {
+    this.waypoint = { poiId: waypoint.poiId ?? null, name: waypoint.name, x: waypoint.x, y: waypoint.y ?? 0, z: waypoint.z };
+  }
+
+  clear() {
+    this.waypoint = null;
+  }
+
+  get() {
+    return this.waypoint;
+  }
+
+  // { heading, waypoint: null | { name, distance, bearing, screen }, arrived }
+  update(playerPos, width, height) {
+    this.camera.getWorldDirection(this._direction);
+    const heading = compassBearing(this._direction.x, this._direction.z);
+    const wp = this.waypoint;
+    if (!wp) return { heading, waypoint: null, arrived: false };
+
+    const dx = wp.x - playerPos.x;
+    const dz = wp.z - playerPos.z;
+    const distance = Math.hypot(dx, dz);
+    return {
+      heading,
+      waypoint: {
+        name: wp.name,
+        distance,
+        bearing: compassBearing(dx, dz),
+        screen: this._screenPosition(wp, width, height),
+      },
+      arrived: distance < ARRIVAL_DISTANCE,
+    };
+  }
+
+  // { x, y, onScreen } in pixels
+  _screenPosition(wp, width, height) {
+    const p = this._projected.set(wp.x, wp.y + MARKER_HEIGHT, wp.z).project(this.camera);
+    const behind = p.z > 1;
+    let nx = behind ? -p.x : p.x;
+    let ny = behind ? -p.y : p.y;
+    const onScreen = !behind && Math.abs(nx) <= 1 && Math.abs(ny) <= 1;
+    if (!onScreen) {
+      // Push the direction out to the screen edge
+      const scale = 1 / Math.max(Math.abs(nx), Math.abs(ny), 1e-6);
+      nx *= scale;
+      ny *= scale;
+    }
+    const x = ((nx + 1) / 2) * width;
+    const y = ((1 - ny) / 2) * height;
+    return {
+      x: Math.min(width - EDGE_MARGIN, Math.max(EDGE_MARGIN, x)),
+      y: Math.min(height - EDGE_MARGIN, Math.max(EDGE_MARGIN, y)),
+      onScreen,
+    };
+  }
+}
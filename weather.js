@@ -0,0 +1,225 @@
+// weather.js
+// -----------------------------------------------------------------------------
+// Regional weather.
+// - Each district region rolls a storminess for every weather period (a few
+//   minutes of game time played, see TimeOfDay.getElapsed) from the world
+//   seed, so a region's weather holds for a while, differs from its
+//   neighbours and is the same for everyone on the same seed after the same
+//   play time. The clock saves that time, so the weather needs no save state
+//   of its own.
+// - What that storminess looks like depends on the ground under the player:
+//   wasteland chunks get dust and ash storms, everywhere else gets overcast
+//   skies and rain. Early mornings may bring fog instead.
+// - Changes fade: the active condition ramps its intensity down before the
+//   next one ramps up.
+// - Precipitation is a particle box that follows the camera. Fog and light
+//   changes are exposed as modifiers (getEffects) for main.js to fold into
+//   the time-of-day lighting.
+// - The current weather is published to subscribers (HUD) and readable via
+//   getCurrent() (NPC dialogue).
+// -----------------------------------------------------------------------------
+
+import { loadThree } from './three-loader.js';
+import { seededRandom } from './utils.js';
+import { chunkCoord } from './worldgen.js';
+
+const THREE = await loadThree();
+
+const WEATHER_PERIOD_SECONDS = 240; // game seconds a region keeps its roll
+const FADE_SECONDS = 6; // time to ramp a condition fully in or out
+const PARTICLE_COUNT = 1500;
+const PARTICLE_BOX = { width: 50, height: 30 }; // around the camera
+
+// Per-condition look: particle motion / colour / size, and how much the
+// condition pulls fog in, tints the sky and dims the lights at intensity 1.
+// fogScale multiplies fog distances (smaller = thicker).
+const CONDITIONS = {
+  clear: { label: 'Clear', particles: 0, fogScale: 1, tint: 0x000000, tintAmount: 0, lightScale: 1 },
+  overcast: { label: 'Overcast', particles: 0, fogScale: 0.85, tint: 0x4a4f58, tintAmount: 0.35, lightScale: 0.8 },
+  rain: {
+    label: 'Rain',
+    particles: 0.6,
+    fall: 22,
+    drift: 1.5,
+    color: 0x9fb4d0,
+    size: 0.12,
+    fogScale: 0.7,
+    tint: 0x3a4250,
+    tintAmount: 0.45,
+    lightScale: 0.7,
+  },
+  storm: {
+    label: 'Heavy rain',
+    particles: 1,
+    fall: 30,
+    drift: 5,
+    color: 0x9fb4d0,
+    size: 0.14,
+    fogScale: 0.5,
+    tint: 0x2a303a,
+    tintAmount: 0.6,
+    lightScale: 0.55,
+  },
+  fog: { label: 'Fog', particles: 0, fogScale: 0.3, tint: 0x8a9098, tintAmount: 0.6, lightScale: 0.85 },
+  dust: {
+    label: 'Dust storm',
+    particles: 0.8,
+    fall: 0.5,
+    drift: 12,
+    color: 0xb09a70,
+    size: 0.25,
+    fogScale: 0.4,
+    tint: 0x8a7450,
+    tintAmount: 0.65,
+    lightScale: 0.75,
+  },
+  ash: {
+    label: 'Ash fall',
+    particles: 0.7,
+    fall: 1.5,
+    drift: 2,
+    color: 0x777777,
+    size: 0.2,
+    fogScale: 0.45,
+    tint: 0x3a3633,
+    tintAmount: 0.6,
+    lightScale: 0.6,
+  },
+};
+
+export class WeatherSystem {
+  constructor(scene, worldManager, timeOfDay, seed) {
+    this.scene = scene;
+    this.worldManager = worldManager;
+    this.timeOfDay = timeOfDay;
+    this.seed = seed;
+    this.elapsed = 0; // play time driving the particle sway
+    this.target = 'clear'; // condition the player's location calls for
+    this.current = 'clear'; // condition being shown (fading in or out)
+    this.intensity = 0;
+    this.listeners = [];
+    this._lastPublished = null;
+    this._createParticles();
+  }
+
+  // listener({ type, label, intensity }) on every change of condition
+  subscribe(listener) {
+    this.listeners.push(listener);
+  }
+
+  // { type, label, intensity } of what's currently showing
+  getCurrent() {
+    return { type: this.current, label: CONDITIONS[this.current].label, intensity: this.intensity };
+  }
+
+  // Condition a location rolls right now (without fading)
+  getConditionAt(x, z) {
+    const cx = chunkCoord(x);
+    const cz = chunkCoord(z);
+    const info = this.worldManager.getDistrictInfo(cx, cz);
+    const period = Math.floor(this.timeOfDay.getElapsed() / WEATHER_PERIOD_SECONDS);
+    const roll = seededRandom(info.region.rx * 7 + period, info.region.rz * 13 - period, this.seed + 515);
+
+    if (info.type === 'wasteland') {
+      if (roll < 0.45) return 'clear';
+      if (roll < 0.8) return 'dust';
+      return 'ash';
+    }
+    const hour = this.timeOfDay.getHour();
+    if (hour >= 4 && hour < 8 && roll < 0.2) return 'fog';
+    if (roll < 0.45) return 'clear';
+    if (roll < 0.65) return 'overcast';
+    if (roll < 0.9) return 'rain';
+    return 'storm';
+  }
+
+  update(dt, playerPos, camera, visible) {
+    this.elapsed += dt;
+    this.target = this.getConditionAt(playerPos.x, playerPos.z);
+
+    // Fade the shown condition out before switching, then back in
+    const step = dt / FADE_SECONDS;
+    if (this.current !== this.target) {
+      this.intensity = Math.max(0, this.intensity - step);
+      if (this.intensity === 0) this.current = this.target;
+    } else {
+      this.intensity = Math.min(1, this.intensity + step);
+    }
+
+    const published = `${this.current}:${this.current === this.target}`;
+    if (published !== this._lastPublished) {
+      this._lastPublished = published;
+      const weather = this.getCurrent();
+      for (const listener of this.listeners) listener(weather);
+    }
+
+    this._updateParticles(dt, camera, visible);
+  }
+
+  // Fog / sky / light modifiers at the current intensity
+  getEffects() {
+    const c = CONDITIONS[this.current];
+    const k = this.intensity;
+    return {
+      fogScale: 1 + (c.fogScale - 1) * k,
+      tint: c.tint,
+      tintAmount: c.tintAmount * k,
+      lightScale: 1 + (c.lightScale - 1) * k,
+    };
+  }
+
+  // PARTICLES -----------------------------------------------------------------
+  _createParticles() {
+    const positions = new Float32Array(PARTICLE_COUNT * 3);
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+      positions[i * 3] = (Math.random() - 0.5) * PARTICLE_BOX.width;
+      positions[i * 3 + 1] = Math.random() * PARTICLE_BOX.height;
+      positions[i * 3 + 2] = (Math.random() - 0.5) * PARTICLE_BOX.width;
+    }
+    this.particleGeometry = new THREE.BufferGeometry();
+    this.particleGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    this.particleMaterial = new THREE.PointsMaterial({
+      color: 0xffffff,
+      size: 0.12,
+      transparent: true,
+      opacity: 0,
+      depthWrite: false,
+    });
+    this.particles = new THREE.Points(this.particleGeometry, this.particleMaterial);
+    this.particles.frustumCulled = false; // the box moves with the camera
+    this.particles.visible = false;
+    this.scene.add(this.particles);
+  }
+
+  // Particles live in a box centred on the camera in box-local coordinates;
+  // they wrap around its edges, so the box can simply follow the camera.
+  _updateParticles(dt, camera, visible) {
+    const c = CONDITIONS[this.current];
+    const amount = c.particles * this.intensity;
+    this.particles.visible = visible && amount > 0.01;
+    if (!this.particles.visible) return;
+
+    this.particles.position.set(camera.position.x, camera.position.y - PARTICLE_BOX.height / 2, camera.position.z);
+    this.particleMaterial.color.setHex(c.color);
+    this.particleMaterial.size = c.size;
+    this.particleMaterial.opacity = Math.min(1, amount * 0.9);
+    this.particleGeometry.setDrawRange(0, Math.floor(PARTICLE_COUNT * amount));
+
+    const positions = this.particleGeometry.attributes.position.array;
+    const half = PARTICLE_BOX.width / 2;
+    const t = this.elapsed;
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+      const ix = i * 3;
+      // Drift sways per particle so storms don't move as one sheet
+      const sway = Math.sin(t * 0.7 + i) * 0.5 + 1;
+      positions[ix] += c.drift * sway * dt;
+      positions[ix + 1] -= c.fall * dt;
+      positions[ix + 2] += c.drift * 0.3 * Math.cos(t * 0.5 + i * 1.7) * dt;
+      if (positions[ix] > half) positions[ix] -= PARTICLE_BOX.width;
+      if (positions[ix + 2] > half) positions[ix + 2] -= PARTICLE_BOX.width;
+      if (positions[ix + 2] < -half) positions[ix + 2] += PARTICLE_BOX.width;
+      if (positions[ix + 1] < 0) positions[ix + 1] += PARTICLE_BOX.height;
+    }
+    this.particleGeometry.attributes.position.needsUpdate = true;
+  }
+}
@@ -0,0 +1,152 @@
+// windows.js
+// -----------------------------------------------------------------------------
+// Procedural building facades with lit windows.
+// - A small set of facade variants share two canvas textures each: the
+//   facade itself (wall + glass, used as the colour map so building tints
+//   still apply) and a glow map holding only the lit windows (used as the
+//   emissive map, so lit windows shine at night without any real lights).
+// - Each canvas is a sheet of many more windows than one facade shows.
+//   Buildings pick a variant from their seed and a window-aligned offset
+//   into the sheet from their position (a per-instance windowOffset
+//   attribute, see getWindowOffset), so no two neighbours share a pattern.
+// - Which windows are lit depends on the hour: each window has a fixed seeded
+//   threshold and is lit while the hour's occupancy is above it, so the city
+//   lights up through the evening and goes dark window by window after
+//   midnight. Canvases are only redrawn when the half-hour changes.
+// -----------------------------------------------------------------------------
+
+import { loadThree } from './three-loader.js';
+import { seededRandom } from './utils.js';
+
+const THREE = await loadThree();
+
+export const WINDOW_VARIANTS = 6;
+const COLS = 4; // windows across one facade
+const ROWS = 8;
+const SHEET_COLS = 16; // windows across a whole canvas
+const SHEET_ROWS = 32;
+const CELL_SIZE = 16; // pixels per window cell
+const CANVAS_WIDTH = SHEET_COLS * CELL_SIZE;
+const CANVAS_HEIGHT = SHEET_ROWS * CELL_SIZE;
+
+// Share of windows lit over the day (hour, fraction), blended linearly
+const OCCUPANCY = [
+  [0, 0.25],
+  [3, 0.12],
+  [5, 0.15],
+  [6.5, 0.05],
+  [8, 0],
+  [17, 0],
+  [18.5, 0.35],
+  [20, 0.6],
+  [22, 0.5],
+  [24, 0.25],
+];
+
+function occupancyAt(hour) {
+  for (let i = 0; i < OCCUPANCY.length - 1; i++) {
+    const [h0, f0] = OCCUPANCY[i];
+    const [h1, f1] = OCCUPANCY[i + 1];
+    if (hour >= h0 && hour <= h1) return f0 + ((f1 - f0) * (hour - h0)) / (h1 - h0);
+  }
+  return 0;
+}
+
+function createCanvasTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = CANVAS_WIDTH;
+  canvas.height = CANVAS_HEIGHT;
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.magFilter = THREE.NearestFilter;
+  texture.minFilter = THREE.NearestFilter;
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.repeat.set(COLS / SHEET_COLS, ROWS / SHEET_ROWS); // one facade's worth
+  return { ctx: canvas.getContext('2d'), texture };
+}
+
+// Shifts the facade's texture coordinates by the instance's windowOffset.
+// three r151 split the shared vUv into one varying per map.
+function useInstanceOffset(material) {
+  const varyings = Number(THREE.REVISION) >= 151 ? ['vMapUv', 'vEmissiveMapUv'] : ['vUv'];
+  const shift = varyings.map((v) => `${v} += windowOffset;`).join('\n');
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nattribute vec2 windowOffset;')
+      .replace('#include <uv_vertex>', `#include <uv_vertex>\n${shift}`);
+  };
+}
+
+// Offset into the window sheet for a building at (x, z), in texture units
+// and aligned to whole windows
+export function getWindowOffset(x, z) {
+  const col = Math.floor(seededRandom(x, z, 315) * SHEET_COLS);
+  const row = Math.floor(seededRandom(z, x, 316) * SHEET_ROWS);
+  return [col / SHEET_COLS, row / SHEET_ROWS];
+}
+
+export class WindowTextures {
+  constructor(variantCount = WINDOW_VARIANTS) {
+    this.variants = [];
+    for (let v = 0; v < variantCount; v++) {
+      const facade = createCanvasTexture();
+      const glow = createCanvasTexture();
+      const material = new THREE.MeshLambertMaterial({
+        color: 0xffffff, // per-building tint comes from the instance colour
+        map: facade.texture,
+        emissive: 0xffd9a0,
+        emissiveMap: glow.texture,
+        emissiveIntensity: 0,
+      });
+      useInstanceOffset(material);
+      this.variants.push({ facade, glow, material });
+    }
+    this.bucket = null;
+    this.update(12, 0);
+  }
+
+  getMaterial(variant) {
+    return this.variants[variant % this.variants.length].material;
+  }
+
+  // night: 0 by day .. 1 at full night; scales the window glow
+  update(hour, night) {
+    for (const v of this.variants) v.material.emissiveIntensity = night * 1.2;
+    const bucket = Math.floor(hour * 2);
+    if (bucket === this.bucket) return;
+    this.bucket = bucket;
+    const occupancy = occupancyAt(bucket / 2);
+    this.variants.forEach((v, index) => this._draw(v, index, occupancy));
+  }
+
+  _draw(variant, index, occupancy) {
+    const { facade, glow } = variant;
+    const cellW = CELL_SIZE;
+    const cellH = CELL_SIZE;
+
+    facade.ctx.fillStyle = '#c8c8c8';
+    facade.ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    glow.ctx.fillStyle = '#000';
+    glow.ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    // Variants differ in window proportions as well as in who's home
+    const inset = 2 + Math.floor(seededRandom(index, 1, 313) * 3);
+    for (let col = 0; col < SHEET_COLS; col++) {
+      for (let row = 0; row < SHEET_ROWS; row++) {
+        const x = col * cellW + inset;
+        const y = row * cellH + inset;
+        const w = cellW - inset * 2;
+        const h = cellH - inset * 2;
+        const lit = seededRandom(index * 97 + col, row, 314) < occupancy;
+        facade.ctx.fillStyle = lit ? '#ffe0a0' : '#2c3442';
+        facade.ctx.fillRect(x, y, w, h);
+        if (lit) {
+          glow.ctx.fillStyle = '#fff';
+          glow.ctx.fillRect(x, y, w, h);
+        }
+      }
+    }
+    facade.texture.needsUpdate = true;
+    glow.texture.needsUpdate = true;
+  }
+}
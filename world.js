@@ -1,259 +1,745 @@
 // world.js
 // -----------------------------------------------------------------------------
-// Procedural infinite-ish world generator.
-// - The world is divided into square chunks on an (x,z) grid.
-// - Each chunk is assigned a type (city core, suburb, park, highway, wasteland)
-//   deterministically using seeded randomness.
-// - Within city chunks, simple boxy buildings and roads are created.
+// Streams and renders the procedural world around the player.
+// - The world is divided into square chunks on an (x,z) grid. Chunk layout
+//   comes from WorldGenerator (worldgen.js) as plain data descriptors;
+//   this module turns descriptors into meshes, registers their colliders and
+//   doors, and drops all of it again when a chunk unloads.
+// - Descriptors are generated in a module worker (chunk-worker.js) and queued;
+//   each frame attaches queued chunks until a small time budget is spent.
+//   Without worker support the queue generates them on the main thread
+//   instead, under the same budget. The chunk under the player is always
+//   built immediately so there is never missing ground underfoot.
+// - Detail falls off in rings (VIEW_DISTANCES, picked by the graphics
+//   setting): full chunks near the player, building silhouettes further out,
+//   then one skyline impostor block per built-up chunk, all faded into the
+//   scene fog. Only full chunks carry colliders, doors and roads.
+// - Chunks draw with a handful of calls: repeated objects are InstancedMeshes
+//   over shared unit geometries and materials, roads are merged buffers.
+//   Unloading a chunk disposes what it created and leaves shared resources.
+// - Chunk types (city core, suburb, park, highway, wasteland) and names come
+//   from the district layer (districts.js): large regions with one city
+//   name, a downtown fading out into suburbs and outskirts, and district
+//   names per sub-area.
+// - Chunk (cx, cz) is centred on (cx, cz) * CHUNK_SIZE; chunkCoord() maps a
+//   world position to the chunk that actually draws it.
+// - Roads come from a deterministic network (roads.js) that joins up across
+//   chunk borders; the live graph of loaded roads is exposed through
+//   getRoadGraph().
 // - Buildings have colliders and "door" meshes used for interaction.
+//   Transit stations of loaded chunks are kept for getNearbyStation().
+// - Ground height comes from the generator's seeded noise heightmap;
+//   getGroundHeight(x, z) is the single source of truth for anything that
+//   stands on the terrain.
 //
-// Exterior collisions are handled as 2D AABB vs player circle.
+// Exterior collisions treat the player as a circle on the XZ plane against
+// boxes (buildings, debris, highway slabs), ramps and circles (tree trunks).
+// Every collider is a solid from minY up to its top; a top within a small
+// step of the player's feet is something to stand on, anything taller is a
+// wall, and anything entirely overhead is ignored. handleCollisions reports
+// the walkable height under the player so movement can land on rooftops,
+// follow ramps and fall off edges. Colliders and doors are kept in spatial
+// hashes so per-frame queries only look at nearby cells, and unloading a
+// chunk only drops that chunk's entries.
 // -----------------------------------------------------------------------------
 
 import { loadThree } from './three-loader.js';
-import { seededRandom } from './utils.js';
+import { SpatialHash } from './spatial.js';
+import { RoadGraph, HIGHWAY_DECK_Y } from './roads.js';
+import { WorldGenerator, CHUNK_SIZE, chunkCoord } from './worldgen.js';
+import { WindowTextures, getWindowOffset } from './windows.js';
+import { DEFAULT_WORLD_SEED } from './utils.js';
 
 const THREE = await loadThree();
 
-export const CHUNK_SIZE = 80; // world units per chunk
+export { CHUNK_SIZE, chunkCoord };
+
+const SPATIAL_CELL_SIZE = 20; // chunk borders (odd multiples of 40) fall on cell borders
+const EYE_HEIGHT = 1.6; // default player position.y above their feet
+const BODY_HEIGHT = 1.9; // vertical extent used against collider spans
+const STEP_HEIGHT = 0.5; // ledges up to this high are stepped onto, not walls
+const BUILD_BUDGET_MS = 4; // per-frame time for attaching queued chunks
+
+// Graphics setting -> LOD ring radii in chunks (see setViewDistance)
+export const VIEW_DISTANCES = {
+  near: { full: 1, simple: 2, skyline: 3 },
+  medium: { full: 1, simple: 3, skyline: 5 },
+  far: { full: 2, simple: 4, skyline: 7 },
+};
+export const DEFAULT_VIEW_DISTANCE = 'medium';
+
+// Skyline stand-ins per chunk type; city heights scale with district density
+const SKYLINE_IMPOSTORS = {
+  city: { width: 56, depth: 56, height: 16, y: 0, color: 0x55595e },
+  suburb: { width: 48, depth: 48, height: 7, y: 0, color: 0x5f5f5f },
+  highway: { width: CHUNK_SIZE, depth: 8, height: 1, y: HIGHWAY_DECK_Y - 1, color: 0x202020 },
+};
+
+// Geometries and materials reused by every chunk. Unit-sized shapes are
+// scaled per instance; flagged shared so chunk disposal leaves them alone.
+function markShared(resource) {
+  resource.userData.shared = true;
+  return resource;
+}
+
+const SHARED = {
+  box: markShared(new THREE.BoxGeometry(1, 1, 1)),
+  door: markShared(new THREE.BoxGeometry(1.2, 2.0, 0.3)),
+  trunk: markShared(new THREE.CylinderGeometry(0.3, 0.5, 1, 6)),
+  crown: markShared(new THREE.ConeGeometry(1.6, 3, 6)),
+  flatGround: markShared(new THREE.PlaneGeometry(CHUNK_SIZE, CHUNK_SIZE).rotateX(-Math.PI / 2)),
+  // White so per-instance colours come through unchanged
+  buildingMat: markShared(new THREE.MeshLambertMaterial({ color: 0xffffff })),
+  doorMat: markShared(new THREE.MeshLambertMaterial({ color: 0x884422 })),
+  trunkMat: markShared(new THREE.MeshLambertMaterial({ color: 0x664422 })),
+  leafMat: markShared(new THREE.MeshLambertMaterial({ color: 0x224422 })),
+  debrisMat: markShared(new THREE.MeshLambertMaterial({ color: 0x444433 })),
+  roadwayMat: markShared(new THREE.MeshLambertMaterial({ color: 0x202020 })),
+  lampPoleMat: markShared(new THREE.MeshLambertMaterial({ color: 0x2a2d33 })),
+  // Lamp heads glow by emissive intensity and throw a fake pool of light on
+  // the street; both follow the time of day (setTimeOfDay)
+  lampHeadMat: markShared(
+    new THREE.MeshLambertMaterial({ color: 0x444444, emissive: 0xffd9a0, emissiveIntensity: 0 })
+  ),
+  lampGlowMat: markShared(
+    new THREE.MeshBasicMaterial({
+      color: 0xffc880,
+      transparent: true,
+      opacity: 0,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    })
+  ),
+  lampGlow: markShared(new THREE.CircleGeometry(3.5, 12).rotateX(-Math.PI / 2)),
+  stationMat: markShared(new THREE.MeshLambertMaterial({ color: 0x2f4f6a })),
+  stationRoofMat: markShared(new THREE.MeshLambertMaterial({ color: 0x1c2630 })),
+};
+
+// Facade materials with lit windows; building instances are grouped by variant
+const WINDOWS = new WindowTextures();
+for (const variant of WINDOWS.variants) markShared(variant.material);
+
+// Plain coloured materials (ground, roads), one per colour
+const colorMaterials = new Map();
+function sharedColorMaterial(color) {
+  let mat = colorMaterials.get(color);
+  if (!mat) {
+    mat = markShared(new THREE.MeshLambertMaterial({ color }));
+    colorMaterials.set(color, mat);
+  }
+  return mat;
+}
+
+const _instanceMatrix = new THREE.Matrix4();
+const _instancePosition = new THREE.Vector3();
+const _instanceScale = new THREE.Vector3();
+const _noRotation = new THREE.Quaternion();
+
+function setInstance(mesh, index, x, y, z, sx, sy, sz) {
+  _instancePosition.set(x, y, z);
+  _instanceScale.set(sx, sy, sz);
+  mesh.setMatrixAt(index, _instanceMatrix.compose(_instancePosition, _noRotation, _instanceScale));
+}
+
+// Instances are static once built; bounds are needed for frustum culling
+function finishInstances(mesh) {
+  mesh.instanceMatrix.needsUpdate = true;
+  if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+  mesh.computeBoundingSphere?.();
+  mesh.castShadow = false;
+  mesh.receiveShadow = false;
+}
 
 export class WorldManager {
-  constructor(scene, nameGen) {
+  constructor(scene, nameGen, seed = DEFAULT_WORLD_SEED) {
     this.scene = scene;
     this.nameGen = nameGen;
-    this.globalSeed = 4242;
+    this.globalSeed = seed;
+    this.generator = new WorldGenerator(this.globalSeed, nameGen);
     this.chunks = new Map(); // key: "x,z" -> chunk data
-    this.activeRadius = 1; // number of chunks around player to keep
-    this.colliders = []; // global list of building AABBs
-    this.doors = []; // door objects for interaction
+    this.activeRadius = 1; // radius of full-detail chunks, set by setViewDistance
+    this.colliderIndex = new SpatialHash(SPATIAL_CELL_SIZE); // boxes and circles
+    this.doorIndex = new SpatialHash(SPATIAL_CELL_SIZE); // door objects for interaction
+    this._queryResults = []; // scratch array reused by spatial queries
+    this.roadGraph = new RoadGraph(); // roads of the loaded chunks
+    this.stations = new Map(); // chunk key -> station of a loaded full chunk
+
+    // Streaming: keys asked of the worker, and descriptors (or, without a
+    // worker, bare coordinates) waiting to be built
+    this.pendingChunks = new Set();
+    this.buildQueue = []; // { key, cx, cz, data? }
+    this.centerChunk = { cx: 0, cz: 0 };
+    this.worker = this._startWorker();
+
+    // Far-field rendering (skyline impostors, horizon ground)
+    this.skyline = null;
+    this.horizonGround = null;
+    this._skylineDirty = true;
+    this.setViewDistance(DEFAULT_VIEW_DISTANCE);
+  }
+
+  _startWorker() {
+    if (typeof Worker === 'undefined') return null;
+    try {
+      const worker = new Worker(new URL('./chunk-worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = (e) => {
+        if (e.data.type !== 'chunk') return;
+        const data = e.data.data;
+        if (!this.pendingChunks.has(data.key)) return; // built meanwhile or dropped
+        this.buildQueue.push({ key: data.key, cx: data.cx, cz: data.cz, data });
+      };
+      worker.onerror = (e) => {
+        // Module workers are unsupported in some browsers and on file://;
+        // hand whatever was in flight to the main-thread queue
+        console.warn('Chunk worker failed, generating on the main thread', e.message || e);
+        e.preventDefault?.();
+        worker.terminate();
+        this.worker = null;
+        for (const key of this.pendingChunks) {
+          if (this.buildQueue.some((item) => item.key === key)) continue;
+          const [cx, cz] = key.split(',').map(Number);
+          this.buildQueue.push({ key, cx, cz });
+        }
+      };
+      worker.postMessage({ type: 'init', seed: this.globalSeed, nameSeed: this.nameGen.seed });
+      return worker;
+    } catch (err) {
+      console.warn('Chunk worker unavailable, generating on the main thread', err);
+      return null;
+    }
   }
 
   _chunkKey(cx, cz) {
     return `${cx},${cz}`;
   }
 
+  // LOD rings: full chunks within `full` (Chebyshev distance in chunks),
+  // building silhouettes out to `simple`, skyline impostors out to `skyline`.
+  setViewDistance(name) {
+    const radii = VIEW_DISTANCES[name];
+    if (!radii) throw new Error(`Unknown view distance "${name}".`);
+    this.viewDistance = name;
+    this.lodRadii = radii;
+    this.activeRadius = radii.full;
+    // Fog starts past the detailed ring and swallows the skyline's edge
+    this.fogRange = { near: CHUNK_SIZE * (radii.full + 0.5), far: CHUNK_SIZE * (radii.skyline + 0.5) };
+    if (this.scene.fog) {
+      this.scene.fog.near = this.fogRange.near;
+      this.scene.fog.far = this.fogRange.far;
+    }
+    this._skylineDirty = true;
+  }
+
+  // Clear-weather fog distances for the current view distance
+  getFogRange() {
+    return this.fogRange;
+  }
+
   update(playerPos) {
-    const cx = Math.floor(playerPos.x / CHUNK_SIZE);
-    const cz = Math.floor(playerPos.z / CHUNK_SIZE);
+    const cx = chunkCoord(playerPos.x);
+    const cz = chunkCoord(playerPos.z);
+    if (cx !== this.centerChunk.cx || cz !== this.centerChunk.cz) this._skylineDirty = true;
+    this.centerChunk = { cx, cz };
+    const { full, simple } = this.lodRadii;
+
+    // The player's own chunk can't wait for the queue (spawn, load, fast
+    // moves): its colliders have to exist this frame
+    const ownKey = this._chunkKey(cx, cz);
+    const own = this.chunks.get(ownKey);
+    if (!own || own.lod !== 'full') {
+      const queued = this.buildQueue.find((item) => item.key === ownKey);
+      this._buildChunk(own?.data || queued?.data || this.generator.generateChunk(cx, cz), 'full');
+    }
 
-    // Ensure neighboring chunks are generated
-    for (let x = cx - this.activeRadius; x <= cx + this.activeRadius; x++) {
-      for (let z = cz - this.activeRadius; z <= cz + this.activeRadius; z++) {
+    // Request missing chunks nearest first; chunks already loaded as
+    // silhouettes that are now close get rebuilt at full detail
+    const wanted = [];
+    for (let x = cx - simple; x <= cx + simple; x++) {
+      for (let z = cz - simple; z <= cz + simple; z++) {
         const key = this._chunkKey(x, z);
-        if (!this.chunks.has(key)) {
-          this._generateChunk(x, z);
+        if (this.pendingChunks.has(key)) continue;
+        const chunk = this.chunks.get(key);
+        if (!chunk) {
+          wanted.push({ key, cx: x, cz: z, d: Math.hypot(x - cx, z - cz) });
+        } else if (chunk.lod === 'simple' && this._ringDistance(x, z) <= full) {
+          this._queueRebuild(key, chunk);
         }
       }
     }
+    wanted.sort((a, b) => a.d - b.d);
+    for (const item of wanted) this._requestChunk(item.key, item.cx, item.cz);
 
-    // Optionally, remove far-away chunks (very simple culling)
+    // Unload or simplify chunks that fell behind, with a chunk of slack so
+    // walking along a border doesn't thrash
     for (const [key, chunk] of this.chunks) {
-      const dx = chunk.cx - cx;
-      const dz = chunk.cz - cz;
-      if (Math.abs(dx) > this.activeRadius + 1 || Math.abs(dz) > this.activeRadius + 1) {
-        // Remove meshes from scene
-        this.scene.remove(chunk.group);
-        // Remove colliders and doors belonging to this chunk
-        this.colliders = this.colliders.filter((c) => c.chunkKey !== key);
-        this.doors = this.doors.filter((d) => d.chunkKey !== key);
-        this.chunks.delete(key);
+      const d = this._ringDistance(chunk.cx, chunk.cz);
+      if (d > simple + 1) {
+        this._unloadChunk(key, chunk);
+      } else if (chunk.lod === 'full' && d > full + 1 && !this.pendingChunks.has(key)) {
+        this._queueRebuild(key, chunk);
       }
     }
+    for (const key of this.pendingChunks) {
+      const [kx, kz] = key.split(',').map(Number);
+      if (this._ringDistance(kx, kz) > simple + 1) this.pendingChunks.delete(key);
+    }
+    this.buildQueue = this.buildQueue.filter((item) => this.pendingChunks.has(item.key));
+
+    this._processBuildQueue();
+    if (this._skylineDirty) this._rebuildSkyline();
   }
 
-  _getChunkType(cx, cz) {
-    const r = seededRandom(cx, cz, this.globalSeed);
-    if (r < 0.45) return 'city';
-    if (r < 0.60) return 'suburb';
-    if (r < 0.72) return 'park';
-    if (r < 0.84) return 'highway';
-    return 'wasteland';
+  // Chebyshev distance in chunks from the player's chunk
+  _ringDistance(cx, cz) {
+    return Math.max(Math.abs(cx - this.centerChunk.cx), Math.abs(cz - this.centerChunk.cz));
   }
 
-  _generateChunk(cx, cz) {
-    const key = this._chunkKey(cx, cz);
-    const type = this._getChunkType(cx, cz);
-    const group = new THREE.Group();
-    group.position.set(cx * CHUNK_SIZE, 0, cz * CHUNK_SIZE);
-
-    const areaName = this.nameGen.getAreaName(type, cx, cz);
-
-    // Simple ground plane per chunk
-    const groundGeom = new THREE.PlaneGeometry(CHUNK_SIZE, CHUNK_SIZE, 1, 1);
-    let groundColor = 0x222222;
-    if (type === 'park') groundColor = 0x224422;
-    if (type === 'wasteland') groundColor = 0x333322;
-    if (type === 'highway') groundColor = 0x2a2a2a;
-    const groundMat = new THREE.MeshLambertMaterial({ color: groundColor });
-    const ground = new THREE.Mesh(groundGeom, groundMat);
-    ground.rotation.x = -Math.PI / 2;
-    ground.receiveShadow = false;
-    group.add(ground);
-
-    if (type === 'city' || type === 'suburb') {
-      this._populateBuildings(cx, cz, group, areaName, type);
-      this._addRoads(cx, cz, group, type);
-    } else if (type === 'park') {
-      this._populatePark(cx, cz, group);
-    } else if (type === 'highway') {
-      this._populateHighway(cx, cz, group);
-    } else if (type === 'wasteland') {
-      this._populateWasteland(cx, cz, group);
+  // Detail level a chunk gets when it's built now, or null if out of range
+  _lodFor(cx, cz) {
+    const d = this._ringDistance(cx, cz);
+    if (d <= this.lodRadii.full) return 'full';
+    if (d <= this.lodRadii.simple + 1) return 'simple';
+    return null;
+  }
+
+  _requestChunk(key, cx, cz) {
+    this.pendingChunks.add(key);
+    if (this.worker) {
+      this.worker.postMessage({ type: 'generate', cx, cz });
+    } else {
+      this.buildQueue.push({ key, cx, cz });
+    }
+  }
+
+  // LOD changes reuse the descriptor the chunk was built from
+  _queueRebuild(key, chunk) {
+    this.pendingChunks.add(key);
+    this.buildQueue.push({ key, cx: chunk.cx, cz: chunk.cz, data: chunk.data });
+  }
+
+  // Attaches queued chunks, nearest first, until the frame budget is spent.
+  // At least one chunk is built per call so streaming always progresses.
+  _processBuildQueue() {
+    if (this.buildQueue.length === 0) return;
+    const { cx, cz } = this.centerChunk;
+    const dist = (item) => Math.abs(item.cx - cx) + Math.abs(item.cz - cz);
+    this.buildQueue.sort((a, b) => dist(a) - dist(b));
+
+    const start = performance.now();
+    while (this.buildQueue.length > 0) {
+      const item = this.buildQueue.shift();
+      this._buildChunk(item.data || this.generator.generateChunk(item.cx, item.cz));
+      if (performance.now() - start >= BUILD_BUDGET_MS) break;
+    }
+  }
+
+  _unloadChunk(key, chunk) {
+    this.scene.remove(chunk.group);
+    this._disposeObject(chunk.group);
+    // Drop colliders and doors belonging to this chunk
+    this.colliderIndex.removeOwner(key);
+    this.doorIndex.removeOwner(key);
+    this.roadGraph.removeChunk(key);
+    this.stations.delete(key);
+    this.chunks.delete(key);
+  }
+
+  // Frees the GPU side of everything under an object that belongs to it
+  // alone. Shared geometries and materials (userData.shared) stay alive for
+  // the next chunk.
+  _disposeObject(root) {
+    root.traverse((obj) => {
+      if (obj.isInstancedMesh) obj.dispose(); // instance matrix / colour buffers
+      if (obj.geometry && !obj.geometry.userData.shared) obj.geometry.dispose();
+      if (!obj.material) return;
+      const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+      for (const mat of materials) {
+        if (mat.userData.shared) continue;
+        if (mat.map) mat.map.dispose();
+        mat.dispose();
+      }
+    });
+  }
+
+  // collider: { shape: 'box', minX, maxX, minZ, maxZ, minY, maxY }
+  //        or { shape: 'ramp', minX, maxX, minZ, maxZ, minY, axis, y0, y1 }
+  //           (top rises linearly from y0 at the min edge to y1 at the max
+  //           edge along `axis`; maxY is the higher of the two)
+  //        or { shape: 'circle', x, z, radius, minY, maxY }
+  _addCollider(chunkKey, collider) {
+    collider.chunkKey = chunkKey;
+    if (collider.shape === 'circle') {
+      const { x, z, radius } = collider;
+      this.colliderIndex.insert(collider, x - radius, z - radius, x + radius, z + radius, chunkKey);
+    } else {
+      this.colliderIndex.insert(collider, collider.minX, collider.minZ, collider.maxX, collider.maxZ, chunkKey);
+    }
+  }
+
+  // Colliders that belong to something other than a chunk (war base
+  // structures). The owner key must not look like a chunk key.
+  addColliders(owner, colliders) {
+    for (const collider of colliders) this._addCollider(owner, collider);
+  }
+
+  removeColliders(owner) {
+    this.colliderIndex.removeOwner(owner);
+  }
+
+  // District info for a chunk (see DistrictMap.getChunkInfo)
+  getDistrictInfo(cx, cz) {
+    return this.generator.getChunkInfo(cx, cz);
+  }
+
+  // Label of the place a chunk belongs to, loaded or not
+  getAreaNameForChunk(cx, cz) {
+    return this.generator.getChunkInfo(cx, cz).areaName;
+  }
+
+  getRoadGraph() {
+    return this.roadGraph;
+  }
+
+  // Builds (or rebuilds at another detail level) a chunk from its
+  // descriptor. Only full chunks register colliders, doors and roads.
+  _buildChunk(data, lod = this._lodFor(data.cx, data.cz)) {
+    const { cx, cz } = data;
+    this.pendingChunks.delete(data.key);
+    if (!lod) return;
+    const existing = this.chunks.get(data.key);
+    if (existing) {
+      if (existing.lod === lod) return;
+      this._unloadChunk(data.key, existing);
     }
 
+    const group = lod === 'full' ? this._buildChunkMeshes(data) : this._buildSimpleChunkMeshes(data);
     this.scene.add(group);
-    this.chunks.set(key, {
+
+    if (lod === 'full') {
+      for (const collider of data.colliders) this._addCollider(data.key, collider);
+      this._addDoors(data.key, data.doors, group);
+      this.roadGraph.addChunk(data.key, data.roads);
+      if (data.station) this.stations.set(data.key, data.station);
+    }
+
+    this.chunks.set(data.key, {
       cx,
       cz,
-      type,
+      type: data.type,
+      lod,
       group,
-      areaName,
+      areaName: data.areaName,
+      roads: data.roads,
+      data,
+    });
+  }
+
+  // RENDERING -----------------------------------------------------------------
+  // Everything below builds meshes from a chunk descriptor; no layout
+  // decisions are made here. Repeated objects (buildings, doors, trees,
+  // debris) are one InstancedMesh per kind per chunk over shared unit
+  // geometries; roads are merged into one buffer per road kind.
+  _buildChunkMeshes(data) {
+    const group = new THREE.Group();
+    group.position.set(data.cx * CHUNK_SIZE, 0, data.cz * CHUNK_SIZE);
+
+    group.add(this._buildGround(data.ground));
+    this._buildRoads(group, data);
+    this._buildBuildings(group, data.buildings);
+    this._buildProps(group, data.props);
+    return group;
+  }
+
+  // Middle ring: ground, building silhouettes and highway decks only
+  _buildSimpleChunkMeshes(data) {
+    const group = new THREE.Group();
+    group.position.set(data.cx * CHUNK_SIZE, 0, data.cz * CHUNK_SIZE);
+
+    group.add(this._buildGround(data.ground));
+    this._buildBuildings(group, data.buildings);
+    this._buildProps(group, data.props.filter((p) => p.kind === 'deck' || p.kind === 'ramp'));
+    return group;
+  }
+
+  // Outer ring: one box per built-up chunk, sized from its district, plus a
+  // plain ground sheet under everything so the fog has something to fade.
+  // Rebuilt whenever the player changes chunk.
+  _rebuildSkyline() {
+    this._skylineDirty = false;
+    if (this.skyline) {
+      this.scene.remove(this.skyline);
+      this.skyline.dispose();
+      this.skyline = null;
+    }
+    const { cx, cz } = this.centerChunk;
+    const { simple, skyline } = this.lodRadii;
+
+    if (!this.horizonGround) {
+      this.horizonGround = new THREE.Mesh(SHARED.flatGround, sharedColorMaterial(0x1c1c1c));
+      this.scene.add(this.horizonGround);
+    }
+    const span = 2 * skyline + 1;
+    this.horizonGround.scale.set(span, 1, span);
+    this.horizonGround.position.set(cx * CHUNK_SIZE, -0.3, cz * CHUNK_SIZE);
+
+    const blocks = [];
+    for (let x = cx - skyline; x <= cx + skyline; x++) {
+      for (let z = cz - skyline; z <= cz + skyline; z++) {
+        if (this._ringDistance(x, z) <= simple) continue;
+        const info = this.generator.getChunkInfo(x, z);
+        const impostor = SKYLINE_IMPOSTORS[info.type];
+        if (!impostor) continue;
+        const height = impostor.height * (info.type === 'city' ? 0.7 + info.density * 0.9 : 1);
+        blocks.push({ x: x * CHUNK_SIZE, z: z * CHUNK_SIZE, height, ...impostor });
+      }
+    }
+    if (blocks.length === 0) return;
+
+    const mesh = new THREE.InstancedMesh(SHARED.box, SHARED.buildingMat, blocks.length);
+    const color = new THREE.Color();
+    blocks.forEach((b, i) => {
+      setInstance(mesh, i, b.x, b.y + b.height / 2, b.z, b.width, b.height, b.depth);
+      mesh.setColorAt(i, color.setHex(b.color));
     });
+    finishInstances(mesh);
+    this.skyline = mesh;
+    this.scene.add(mesh);
   }
 
-  _addRoads(cx, cz, group, type) {
-    // Very simple cross-shaped road through city/suburb chunks
-    const thickness = 6;
-    const roadColor = type === 'city' ? 0x111111 : 0x181818;
-    const roadMat = new THREE.MeshLambertMaterial({ color: roadColor });
-
-    const roadXGeom = new THREE.BoxGeometry(CHUNK_SIZE, 0.2, thickness);
-    const roadX = new THREE.Mesh(roadXGeom, roadMat);
-    roadX.position.set(0, 0.01, 0);
-    group.add(roadX);
-
-    const roadZGeom = new THREE.BoxGeometry(thickness, 0.2, CHUNK_SIZE);
-    const roadZ = new THREE.Mesh(roadZGeom, roadMat);
-    roadZ.position.set(0, 0.02, 0);
-    group.add(roadZ);
-  }
-
-  _populateBuildings(cx, cz, group, areaName, type) {
-    const seedBase = cx * 92821 + cz * 68917 + this.globalSeed * 3;
-    const buildingColorBase = type === 'city' ? 0x666666 : 0x777777;
-    const rows = type === 'city' ? 4 : 3;
-    const cols = type === 'city' ? 4 : 3;
-    const spacingX = CHUNK_SIZE / (cols + 1);
-    const spacingZ = CHUNK_SIZE / (rows + 1);
-
-    for (let i = 0; i < cols; i++) {
-      for (let j = 0; j < rows; j++) {
-        const r = seededRandom(seedBase + i * 17, seedBase + j * 37, 99);
-        if (r < 0.2) continue; // empty lot
-
-        const width = 8 + r * 10;
-        const depth = 8 + ((r * 11) % 6);
-        const height = 8 + ((r * 13) % 20);
-
-        const geom = new THREE.BoxGeometry(width, height, depth);
-        const colorVar = ((seededRandom(seedBase + i, seedBase + j, 5) * 0x20) | 0) & 0xff;
-        const color = (buildingColorBase & 0xffffff) + colorVar;
-        const mat = new THREE.MeshLambertMaterial({ color: color & 0xffffff });
-        const mesh = new THREE.Mesh(geom, mat);
-        mesh.castShadow = false;
-        mesh.receiveShadow = false;
-
-        const x = (i + 1) * spacingX - CHUNK_SIZE / 2;
-        const z = (j + 1) * spacingZ - CHUNK_SIZE / 2;
-        mesh.position.set(x, height / 2, z);
-        group.add(mesh);
-
-        // Collider (AABB in world space)
-        const minX = cx * CHUNK_SIZE + x - width / 2;
-        const maxX = cx * CHUNK_SIZE + x + width / 2;
-        const minZ = cz * CHUNK_SIZE + z - depth / 2;
-        const maxZ = cz * CHUNK_SIZE + z + depth / 2;
-        this.colliders.push({
-          minX,
-          maxX,
-          minZ,
-          maxZ,
-          chunkKey: this._chunkKey(cx, cz),
-        });
-
-        // Door: small cube at base on one side
-        const doorGeom = new THREE.BoxGeometry(1.2, 2.0, 0.3);
-        const doorMat = new THREE.MeshLambertMaterial({ color: 0x884422 });
-        const door = new THREE.Mesh(doorGeom, doorMat);
-        const doorLocalX = x + (width / 2 + 0.2); // front face
-        door.position.set(doorLocalX, 1.0, z);
-        group.add(door);
-
-        const worldDoorX = cx * CHUNK_SIZE + door.position.x;
-        const worldDoorZ = cz * CHUNK_SIZE + door.position.z;
-
-        const poiKind = r < 0.5 ? 'shop' : 'office';
-        const poiName =
-          poiKind === 'shop'
-            ? this.nameGen.getPoiName('shop', cx, cz, i * 10 + j)
-            : `${areaName} Tower-${i}${j}`;
-
-        this.doors.push({
-          mesh: door,
-          x: worldDoorX,
-          z: worldDoorZ,
-          areaName: poiName,
-          chunkKey: this._chunkKey(cx, cz),
-          interiorType: poiKind === 'shop' ? 'shop' : 'office',
-          id: `${cx},${cz},${i},${j}`,
-        });
+  // Ground plane per chunk, displaced by the heightmap where it isn't flat.
+  // Border vertices sample the same world points as the neighbour's, so the
+  // seams line up. Flat chunks share one plane.
+  _buildGround(ground) {
+    let geom = SHARED.flatGround;
+    if (ground.heights) {
+      geom = new THREE.PlaneGeometry(CHUNK_SIZE, CHUNK_SIZE, ground.segments, ground.segments);
+      geom.rotateX(-Math.PI / 2);
+      const positions = geom.attributes.position;
+      for (let i = 0; i < positions.count; i++) {
+        positions.setY(i, ground.heights[i]);
       }
+      geom.computeVertexNormals();
     }
+    const mesh = new THREE.Mesh(geom, sharedColorMaterial(ground.color));
+    mesh.receiveShadow = false;
+    return mesh;
   }
 
-  _populatePark(cx, cz, group) {
-    // Scatter some trees (cylinders + cones)
-    const treeTrunkMat = new THREE.MeshLambertMaterial({ color: 0x664422 });
-    const treeLeafMat = new THREE.MeshLambertMaterial({ color: 0x224422 });
-
-    for (let i = 0; i < 10; i++) {
-      const r = seededRandom(cx * 17 + i, cz * 31 + i * 3, 123);
-      const x = (r * CHUNK_SIZE) - CHUNK_SIZE / 2;
-      const z = (((r * 13.37) % 1) * CHUNK_SIZE) - CHUNK_SIZE / 2;
-      const trunkH = 2 + ((r * 7) % 2);
-      const trunkGeom = new THREE.CylinderGeometry(0.3, 0.5, trunkH, 6);
-      const trunk = new THREE.Mesh(trunkGeom, treeTrunkMat);
-      trunk.position.set(x, trunkH / 2, z);
-      group.add(trunk);
-
-      const crownGeom = new THREE.ConeGeometry(1.6, 3, 6);
-      const crown = new THREE.Mesh(crownGeom, treeLeafMat);
-      crown.position.set(x, trunkH + 1.2, z);
-      group.add(crown);
+  // Ground-level streets and paths as ribbons draped over the terrain.
+  // Highway decks and ramps are props.
+  _buildRoads(group, data) {
+    const byKind = { street: [], path: [] };
+    data.ribbons.forEach((ribbon, index) => byKind[ribbon.kind].push({ ribbon, index }));
+    for (const kind of ['street', 'path']) {
+      if (byKind[kind].length === 0) continue;
+      const geom = this._buildRibbonGeometry(byKind[kind]);
+      const color = kind === 'path' ? 0x3a3326 : data.type === 'city' ? 0x111111 : 0x181818;
+      group.add(new THREE.Mesh(geom, sharedColorMaterial(color)));
     }
   }
 
-  _populateHighway(cx, cz, group) {
-    // Elevated slab running through chunk
-    const geom = new THREE.BoxGeometry(CHUNK_SIZE, 1, 8);
-    const mat = new THREE.MeshLambertMaterial({ color: 0x202020 });
-    const mesh = new THREE.Mesh(geom, mat);
-    mesh.position.set(0, 5, 0);
-    group.add(mesh);
+  // One buffer for several ribbons. Each ribbon's positions are (left, right)
+  // vertex pairs along the road, chunk-local.
+  _buildRibbonGeometry(entries) {
+    const positions = [];
+    const indices = [];
+    for (const { ribbon, index } of entries) {
+      // Tiny per-ribbon lift so overlapping ribbons at junctions don't z-fight
+      const lift = 0.03 + index * 0.004;
+      const base = positions.length / 3;
+      const src = ribbon.positions;
+      for (let i = 0; i < src.length; i += 3) {
+        positions.push(src[i], src[i + 1] + lift, src[i + 2]);
+      }
+      const pairs = src.length / 6;
+      for (let i = 1; i < pairs; i++) {
+        const k = base + i * 2;
+        indices.push(k - 2, k, k - 1, k - 1, k, k + 1); // counter-clockwise from above
+      }
+    }
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geom.setIndex(indices);
+    geom.computeVertexNormals();
+    return geom;
   }
 
-  _populateWasteland(cx, cz, group) {
-    // Low boxes as debris
-    const mat = new THREE.MeshLambertMaterial({ color: 0x444433 });
-    for (let i = 0; i < 8; i++) {
-      const r = seededRandom(cx * 31 + i * 7, cz * 41 + i * 11, 777);
-      const w = 4 + (r * 6) % 4;
-      const d = 4 + (r * 9) % 4;
-      const h = 1 + (r * 5) % 3;
-      const geom = new THREE.BoxGeometry(w, h, d);
-      const mesh = new THREE.Mesh(geom, mat);
-      const x = (r * CHUNK_SIZE) - CHUNK_SIZE / 2;
-      const z = (((r * 10.7) % 1) * CHUNK_SIZE) - CHUNK_SIZE / 2;
-      mesh.position.set(x, h / 2, z);
+  // One InstancedMesh per facade variant in use. Each gets its own copy of
+  // the box for the per-building window offsets.
+  _buildBuildings(group, buildings) {
+    const byMaterial = new Map();
+    for (const b of buildings) {
+      const mat = WINDOWS.getMaterial(b.windowVariant);
+      if (!byMaterial.has(mat)) byMaterial.set(mat, []);
+      byMaterial.get(mat).push(b);
+    }
+    const color = new THREE.Color();
+    for (const [mat, list] of byMaterial) {
+      const geometry = SHARED.box.clone();
+      geometry.userData = {}; // owned by this chunk
+      const offsets = new Float32Array(list.length * 2);
+      const mesh = new THREE.InstancedMesh(geometry, mat, list.length);
+      list.forEach((b, i) => {
+        const height = b.topY - b.baseY;
+        setInstance(mesh, i, b.x, b.baseY + height / 2, b.z, b.width, height, b.depth);
+        mesh.setColorAt(i, color.setHex(b.color));
+        offsets.set(getWindowOffset(b.x, b.z), i * 2);
+      });
+      geometry.setAttribute('windowOffset', new THREE.InstancedBufferAttribute(offsets, 2));
+      finishInstances(mesh);
       group.add(mesh);
     }
   }
 
-  // Collision: push player out of building boxes
-  handleCollisions(pos, radius) {
+  _buildProps(group, props) {
+    const trees = props.filter((p) => p.kind === 'tree');
+    const debris = props.filter((p) => p.kind === 'debris');
+    const lamps = props.filter((p) => p.kind === 'lamp');
+    const stations = props.filter((p) => p.kind === 'station');
+
+    if (lamps.length > 0) {
+      const poles = new THREE.InstancedMesh(SHARED.box, SHARED.lampPoleMat, lamps.length);
+      const heads = new THREE.InstancedMesh(SHARED.box, SHARED.lampHeadMat, lamps.length);
+      const glows = new THREE.InstancedMesh(SHARED.lampGlow, SHARED.lampGlowMat, lamps.length);
+      lamps.forEach((p, i) => {
+        setInstance(poles, i, p.x, p.y + p.height / 2, p.z, 0.2, p.height, 0.2);
+        setInstance(heads, i, p.x, p.y + p.height, p.z, 0.6, 0.25, 0.6);
+        setInstance(glows, i, p.x, p.y + 0.08, p.z, 1, 1, 1);
+      });
+      finishInstances(poles);
+      finishInstances(heads);
+      finishInstances(glows);
+      group.add(poles, heads, glows);
+    }
+
+    if (trees.length > 0) {
+      const trunks = new THREE.InstancedMesh(SHARED.trunk, SHARED.trunkMat, trees.length);
+      const crowns = new THREE.InstancedMesh(SHARED.crown, SHARED.leafMat, trees.length);
+      trees.forEach((p, i) => {
+        setInstance(trunks, i, p.x, p.y + p.trunkHeight / 2, p.z, 1, p.trunkHeight, 1);
+        setInstance(crowns, i, p.x, p.y + p.trunkHeight + 1.2, p.z, 1, 1, 1);
+      });
+      finishInstances(trunks);
+      finishInstances(crowns);
+      group.add(trunks, crowns);
+    }
+
+    if (debris.length > 0) {
+      const mesh = new THREE.InstancedMesh(SHARED.box, SHARED.debrisMat, debris.length);
+      debris.forEach((p, i) => {
+        const height = p.topY - p.baseY;
+        setInstance(mesh, i, p.x, p.baseY + height / 2, p.z, p.width, height, p.depth);
+      });
+      finishInstances(mesh);
+      group.add(mesh);
+    }
+
+    // Station shelter: walls, an overhanging roof and a lit sign post that
+    // shares the street lamps' night glow
+    for (const p of stations) {
+      const walls = new THREE.Mesh(SHARED.box, SHARED.stationMat);
+      walls.scale.set(p.width, p.height, p.depth);
+      walls.position.set(p.x, p.baseY + p.height / 2, p.z);
+      const roof = new THREE.Mesh(SHARED.box, SHARED.stationRoofMat);
+      roof.scale.set(p.width + 3, 0.4, p.depth + 1);
+      roof.position.set(p.x + 1.5, p.baseY + p.height + 0.2, p.z);
+      const post = new THREE.Mesh(SHARED.box, SHARED.lampPoleMat);
+      post.scale.set(0.25, 5, 0.25);
+      post.position.set(p.x + p.width / 2 + 3, p.baseY + 2.5, p.z + p.depth / 2);
+      const sign = new THREE.Mesh(SHARED.box, SHARED.lampHeadMat);
+      sign.scale.set(1.2, 1.2, 0.3);
+      sign.position.set(post.position.x, p.baseY + 5.4, post.position.z);
+      group.add(walls, roof, post, sign);
+    }
+
+    // Decks and ramps: at most three per chunk, scaled unit boxes
+    for (const p of props) {
+      if (p.kind === 'deck') {
+        const deck = new THREE.Mesh(SHARED.box, SHARED.roadwayMat);
+        deck.scale.set(p.maxX - p.minX, p.thickness, p.width);
+        deck.position.set((p.minX + p.maxX) / 2, p.y - p.thickness / 2, 0);
+        group.add(deck);
+      } else if (p.kind === 'ramp') {
+        group.add(this._buildRamp(p));
+      }
+    }
+  }
+
+  // Night lighting for everything the world draws: lamp glow and lit windows.
+  // daylight: 0 at night .. 1 in full day (TimeOfDay.getDaylight).
+  setTimeOfDay(hour, daylight) {
+    const night = 1 - daylight;
+    SHARED.lampHeadMat.emissiveIntensity = night * 1.5;
+    SHARED.lampGlowMat.opacity = night * 0.35;
+    SHARED.lampGlowMat.visible = night > 0.01;
+    WINDOWS.update(hour, night);
+  }
+
+  // Tilted box whose top face follows the ramp collider's surface line
+  _buildRamp(p) {
+    const run = p.x1 - p.x0;
+    const rise = p.y1 - p.y0;
+    const length = Math.hypot(run, rise);
+    const angle = Math.atan2(rise, run);
+    const mesh = new THREE.Mesh(SHARED.box, SHARED.roadwayMat);
+    mesh.scale.set(length, p.thickness, p.width);
+    mesh.rotation.z = angle;
+    mesh.position.set(
+      (p.x0 + p.x1) / 2 + Math.sin(angle) * (p.thickness / 2),
+      (p.y0 + p.y1) / 2 - Math.cos(angle) * (p.thickness / 2),
+      0
+    );
+    return mesh;
+  }
+
+  // Doors: one instance each at the base of their building, indexed for
+  // interaction. A door keeps its descriptor id (the key InteriorsManager
+  // stores interiors under) plus its instance slot in the chunk's mesh.
+  _addDoors(chunkKey, doors, group) {
+    if (doors.length === 0) return;
+    const mesh = new THREE.InstancedMesh(SHARED.door, SHARED.doorMat, doors.length);
+    doors.forEach((door, instanceId) => {
+      setInstance(mesh, instanceId, door.x - group.position.x, door.y + 1.0, door.z - group.position.z, 1, 1, 1);
+      const doorInfo = {
+        mesh,
+        instanceId,
+        x: door.x,
+        z: door.z,
+        areaName: door.areaName,
+        chunkKey,
+        interiorType: door.interiorType,
+        id: door.id,
+      };
+      this.doorIndex.insert(doorInfo, door.x, door.z, door.x, door.z, chunkKey);
+    });
+    finishInstances(mesh);
+    group.add(mesh);
+  }
+
+  // Collision: push the player out of anything too tall to step onto and
+  // return the highest walkable surface under them (terrain or a collider
+  // top). The
+  // caller owns vertical movement and uses this to land / fall.
+  handleCollisions(pos, radius, eyeHeight = EYE_HEIGHT) {
     const r = radius || 0.7;
-    for (const c of this.colliders) {
-      if (
+    const feetY = pos.y - eyeHeight;
+    const headY = feetY + BODY_HEIGHT;
+    let supportY = this.getGroundHeight(pos.x, pos.z);
+    const nearby = this._queryResults;
+    nearby.length = 0;
+    this.colliderIndex.query(pos.x - r, pos.z - r, pos.x + r, pos.z + r, nearby);
+    for (const c of nearby) {
+      const topY = this._colliderTopAt(c, pos.x, pos.z);
+      if (topY <= feetY + STEP_HEIGHT) {
+        // Low enough to stand on: counts as floor while we're above it
+        if (this._isOverCollider(c, pos.x, pos.z)) supportY = Math.max(supportY, topY);
+        continue;
+      }
+      if (c.minY >= headY) continue; // overhead, e.g. walking under the highway
+
+      if (c.shape === 'circle') {
+        this._pushOutOfCircle(pos, r, c);
+      } else if (
         pos.x > c.minX - r &&
         pos.x < c.maxX + r &&
         pos.z > c.minZ - r &&
@@ -271,24 +757,96 @@ export class WorldManager {
         else pos.z = c.maxZ + r;
       }
     }
-    // Flat ground at y=1.6 (rough "eye height")
-    if (pos.y < 1.6) pos.y = 1.6;
+    return supportY;
+  }
+
+  // Height of a collider's top surface at (x, z); ramps are sampled at the
+  // nearest point of their footprint.
+  _colliderTopAt(c, x, z) {
+    if (c.shape !== 'ramp') return c.maxY;
+    const t =
+      c.axis === 'x'
+        ? (x - c.minX) / (c.maxX - c.minX)
+        : (z - c.minZ) / (c.maxZ - c.minZ);
+    return c.y0 + (c.y1 - c.y0) * Math.min(1, Math.max(0, t));
+  }
+
+  // Whether the point is over the collider's footprint (the player's centre
+  // must be over a ledge to stand on it; otherwise they slip off the edge)
+  _isOverCollider(c, x, z) {
+    if (c.shape === 'circle') {
+      const dx = x - c.x;
+      const dz = z - c.z;
+      return dx * dx + dz * dz <= c.radius * c.radius;
+    }
+    return x >= c.minX && x <= c.maxX && z >= c.minZ && z <= c.maxZ;
+  }
+
+  _pushOutOfCircle(pos, r, c) {
+    const dx = pos.x - c.x;
+    const dz = pos.z - c.z;
+    const minDist = r + c.radius;
+    const distSq = dx * dx + dz * dz;
+    if (distSq >= minDist * minDist) return;
+    const dist = Math.sqrt(distSq);
+    if (dist < 1e-6) {
+      // Dead centre: any direction works, pick +X
+      pos.x = c.x + minDist;
+      return;
+    }
+    pos.x = c.x + (dx / dist) * minDist;
+    pos.z = c.z + (dz / dist) * minDist;
+  }
+
+  // TERRAIN -------------------------------------------------------------------
+  getGroundHeight(x, z) {
+    return this.generator.getGroundHeight(x, z);
   }
 
   getAreaNameForPosition(pos) {
-    const cx = Math.floor(pos.x / CHUNK_SIZE);
-    const cz = Math.floor(pos.z / CHUNK_SIZE);
+    const cx = chunkCoord(pos.x);
+    const cz = chunkCoord(pos.z);
     const key = this._chunkKey(cx, cz);
     const chunk = this.chunks.get(key);
     if (chunk) return chunk.areaName;
-    const type = this._getChunkType(cx, cz);
-    return this.nameGen.getAreaName(type, cx, cz);
+    return this.getAreaNameForChunk(cx, cz);
+  }
+
+  // Station of a loaded chunk whose entrance is within maxDist, or null
+  getNearbyStation(pos, maxDist) {
+    let best = null;
+    let bestDist = maxDist;
+    for (const station of this.stations.values()) {
+      const dist = Math.hypot(pos.x - station.x, pos.z - station.z);
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = station;
+      }
+    }
+    return best;
+  }
+
+  // True once every full-detail chunk around a position has been built
+  isAreaReady(pos) {
+    const cx = chunkCoord(pos.x);
+    const cz = chunkCoord(pos.z);
+    const r = this.lodRadii.full;
+    for (let dz = -r; dz <= r; dz++) {
+      for (let dx = -r; dx <= r; dx++) {
+        const chunk = this.chunks.get(this._chunkKey(cx + dx, cz + dz));
+        if (!chunk || chunk.lod !== 'full') return false;
+      }
+    }
+    return true;
   }
 
   getNearbyDoor(pos, maxDist) {
     let best = null;
     let bestDistSq = maxDist * maxDist;
-    for (const d of this.doors) {
+    const nearby = this._queryResults;
+    nearby.length = 0;
+    this.doorIndex.query(pos.x - maxDist, pos.z - maxDist, pos.x + maxDist, pos.z + maxDist, nearby);
+    for (const d of nearby) {
       const dx = pos.x - d.x;
       const dz = pos.z - d.z;
       const distSq = dx * dx + dz * dz;
@@ -0,0 +1,522 @@
+// worldgen.js
+// -----------------------------------------------------------------------------
+// Headless world generation: everything about a chunk that doesn't need a
+// renderer.
+// - WorldGenerator.generateChunk(cx, cz) lays out a chunk and returns a plain
+//   data descriptor (ground heights, road ribbons, buildings, doors, props,
+//   colliders, names). WorldManager turns descriptors into meshes; the
+//   generator itself never touches three.js or the DOM, so it also runs in
+//   Node (see dump-world.mjs) and produces identical output for a seed.
+// - Mesh placements in a descriptor (ground, ribbons, buildings, props) are
+//   local to the chunk origin. Colliders and doors are in world space because
+//   they go straight into the world's spatial indexes.
+// - Terrain height lives here too: getGroundHeight(x, z) is the single source
+//   of truth for anything that stands on the ground.
+//
+// Chunk (cx, cz) is centred on (cx, cz) * CHUNK_SIZE; chunkCoord() maps a
+// world position to the chunk that covers it.
+// -----------------------------------------------------------------------------
+
+import { seededRandom, fractalNoise2D } from './utils.js';
+import { DistrictMap } from './districts.js';
+import { generateChunkRoads, HIGHWAY_DECK_Y, HIGHWAY_RAMP_LENGTH, ROAD_WIDTHS } from './roads.js';
+
+export const CHUNK_SIZE = 80; // world units per chunk
+const SIDEWALK = 1.5; // clearance kept between street edges and buildings
+const HIGHWAY_WIDTH = 8;
+const LAMP_SPACING = 14; // distance between street lamps along a street
+const LAMP_CLEAR_OF_JUNCTION = 7; // no lamps this close to the chunk hub
+const LAMP_HEIGHT = 4.5;
+const PARKED_VEHICLE_CHANCE = 0.4; // per street in city and suburb chunks
+const VEHICLE_COLORS = [0x8a1c1c, 0x1c3f8a, 0xd0d0d0, 0x202020, 0xc8a020, 0x2f6b3a];
+const STATION_CHANCE = 0.15; // downtown chunks with a transit station, besides each city's core
+const STATION_SIZE = { width: 12, depth: 7, height: 3.5 };
+
+// Terrain: peak height per chunk type (0 = flat), noise frequency, the band
+// along chunk borders where a chunk fades to the shared border height, and
+// ground mesh resolution for chunks that aren't flat.
+const TERRAIN_AMPLITUDE = { city: 0, suburb: 0, highway: 0, park: 2.5, wasteland: 4.5 };
+const TERRAIN_FREQUENCY = 1 / 28;
+const TERRAIN_EDGE_BLEND = 16;
+const TERRAIN_SEGMENTS = 20;
+
+const GROUND_COLORS = { city: 0x222222, suburb: 0x222222, park: 0x224422, wasteland: 0x333322, highway: 0x2a2a2a };
+
+// Index of the chunk whose geometry covers world coordinate v
+export function chunkCoord(v) {
+  return Math.floor(v / CHUNK_SIZE + 0.5);
+}
+
+export class WorldGenerator {
+  constructor(seed, nameGen) {
+    this.seed = seed;
+    this.nameGen = nameGen;
+    this.districts = new DistrictMap(seed, nameGen);
+  }
+
+  getChunkType(cx, cz) {
+    return this.districts.getChunkType(cx, cz);
+  }
+
+  getChunkInfo(cx, cz) {
+    return this.districts.getChunkInfo(cx, cz);
+  }
+
+  // Descriptor of one chunk:
+  // { key, cx, cz, type, areaName, cityName, districtName,
+  //   ground: { color, segments, heights }, roads: { nodes, edges },
+  //   ribbons: [{ kind, width, positions }], buildings, doors, props,
+  //   colliders, station: null | { id, name, cityName, x, y, z },
+  //   vehicles: [{ id, x, y, z, heading, color }] }
+  generateChunk(cx, cz) {
+    const key = `${cx},${cz}`;
+    const district = this.getChunkInfo(cx, cz);
+    const type = district.type;
+    const chunk = {
+      key,
+      cx,
+      cz,
+      type,
+      areaName: district.areaName,
+      cityName: district.cityName,
+      districtName: district.districtName,
+      ground: this._layoutGround(cx, cz, type),
+      roads: generateChunkRoads(cx, cz, {
+        chunkSize: CHUNK_SIZE,
+        getChunkType: (x, z) => this.getChunkType(x, z),
+        seed: this.seed,
+      }),
+      ribbons: [],
+      buildings: [],
+      doors: [],
+      props: [],
+      colliders: [],
+      station: null,
+      vehicles: [],
+    };
+    this._layoutRibbons(chunk);
+    this._layoutLamps(chunk);
+
+    if (type === 'city' || type === 'suburb') {
+      this._layoutBuildings(chunk, district);
+      this._layoutParkedVehicles(chunk);
+    } else if (type === 'park') {
+      this._layoutPark(chunk);
+    } else if (type === 'highway') {
+      this._layoutHighway(chunk);
+    } else if (type === 'wasteland') {
+      this._layoutWasteland(chunk);
+    }
+    return chunk;
+  }
+
+  // Heights of a (segments + 1)^2 vertex grid, row by row from -Z to +Z and
+  // -X to +X within a row (the vertex order of a PlaneGeometry laid flat).
+  // Flat chunks get a single quad and no heights.
+  _layoutGround(cx, cz, type) {
+    const color = GROUND_COLORS[type] ?? 0x222222;
+    if (!(TERRAIN_AMPLITUDE[type] > 0)) return { color, segments: 1, heights: null };
+    const segments = TERRAIN_SEGMENTS;
+    const step = CHUNK_SIZE / segments;
+    const heights = [];
+    for (let iz = 0; iz <= segments; iz++) {
+      for (let ix = 0; ix <= segments; ix++) {
+        const wx = cx * CHUNK_SIZE - CHUNK_SIZE / 2 + ix * step;
+        const wz = cz * CHUNK_SIZE - CHUNK_SIZE / 2 + iz * step;
+        heights.push(this.getGroundHeight(wx, wz));
+      }
+    }
+    return { color, segments, heights };
+  }
+
+  // Ground-level streets and paths as strips draped over the terrain: pairs
+  // of (left, right) vertices along the road. Highway decks and ramps are
+  // props instead.
+  _layoutRibbons(chunk) {
+    const nodeById = new Map(chunk.roads.nodes.map((n) => [n.id, n]));
+    for (const edge of chunk.roads.edges) {
+      if (edge.kind !== 'street' && edge.kind !== 'path') continue;
+      const a = nodeById.get(edge.a);
+      const b = nodeById.get(edge.b);
+      chunk.ribbons.push({
+        kind: edge.kind,
+        width: edge.width,
+        positions: this._ribbonPositions(chunk.cx, chunk.cz, a, b, edge.width),
+      });
+    }
+  }
+
+  // Street lamps along both kerbs of every street, alternating sides. They
+  // are props only: the glow is a material effect, not a light.
+  _layoutLamps(chunk) {
+    const originX = chunk.cx * CHUNK_SIZE;
+    const originZ = chunk.cz * CHUNK_SIZE;
+    const nodeById = new Map(chunk.roads.nodes.map((n) => [n.id, n]));
+    for (const edge of chunk.roads.edges) {
+      if (edge.kind !== 'street') continue;
+      // Streets run from the hub out to a port; start at the hub end
+      let a = nodeById.get(edge.a);
+      let b = nodeById.get(edge.b);
+      if (a.kind === 'port') [a, b] = [b, a];
+      const dx = b.x - a.x;
+      const dz = b.z - a.z;
+      const length = Math.hypot(dx, dz);
+      const ux = dx / length;
+      const uz = dz / length;
+      const offset = edge.width / 2 + 0.6;
+      let side = 1;
+      for (let d = LAMP_CLEAR_OF_JUNCTION; d < length; d += LAMP_SPACING) {
+        const wx = a.x + ux * d - uz * offset * side;
+        const wz = a.z + uz * d + ux * offset * side;
+        const y = this.getGroundHeight(wx, wz);
+        chunk.props.push({ kind: 'lamp', x: wx - originX, y, z: wz - originZ, height: LAMP_HEIGHT });
+        chunk.colliders.push({ shape: 'circle', x: wx, z: wz, radius: 0.2, minY: y, maxY: y + LAMP_HEIGHT });
+        side = -side;
+      }
+    }
+  }
+
+  // Cars parked at the kerb, at most one per street. Like doors, vehicles are
+  // in world space: once driven they leave their chunk, and the vehicle
+  // manager tracks them by id. Headings face +Z at 0, like the player's yaw.
+  _layoutParkedVehicles(chunk) {
+    const nodeById = new Map(chunk.roads.nodes.map((n) => [n.id, n]));
+    chunk.roads.edges.forEach((edge, index) => {
+      if (edge.kind !== 'street') return;
+      const r = seededRandom(chunk.cx * 41 + index, chunk.cz * 59 - index, this.seed + 211);
+      if (r >= PARKED_VEHICLE_CHANCE) return;
+      let a = nodeById.get(edge.a);
+      let b = nodeById.get(edge.b);
+      if (a.kind === 'port') [a, b] = [b, a];
+      const length = Math.hypot(b.x - a.x, b.z - a.z);
+      const ux = (b.x - a.x) / length;
+      const uz = (b.z - a.z) / length;
+      // Keep clear of the junction; park on either side of the street
+      const d = LAMP_CLEAR_OF_JUNCTION + 4 + (r / PARKED_VEHICLE_CHANCE) * (length - LAMP_CLEAR_OF_JUNCTION - 10);
+      const side = r < PARKED_VEHICLE_CHANCE / 2 ? 1 : -1;
+      const offset = edge.width / 2 - 1.1;
+      const x = a.x + ux * d - uz * offset * side;
+      const z = a.z + uz * d + ux * offset * side;
+      const heading = Math.atan2(ux, uz) + (side > 0 ? Math.PI : 0);
+      chunk.vehicles.push({
+        id: `car:${chunk.cx},${chunk.cz},${index}`,
+        x,
+        y: this.getGroundHeight(x, z),
+        z,
+        heading,
+        color: VEHICLE_COLORS[Math.floor(seededRandom(chunk.cx, chunk.cz * 7 + index, this.seed + 212) * VEHICLE_COLORS.length)],
+      });
+    });
+  }
+
+  _ribbonPositions(cx, cz, a, b, width) {
+    const originX = cx * CHUNK_SIZE;
+    const originZ = cz * CHUNK_SIZE;
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const length = Math.hypot(dx, dz);
+    // Extend each end by half a width so crossing roads overlap cleanly
+    const ux = dx / length;
+    const uz = dz / length;
+    const nx = -uz * (width / 2);
+    const nz = ux * (width / 2);
+    const steps = Math.max(1, Math.ceil(length / 4));
+    const startX = a.x - ux * (width / 2);
+    const startZ = a.z - uz * (width / 2);
+    const span = length + width;
+
+    const positions = [];
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      const px = startX + ux * span * t;
+      const pz = startZ + uz * span * t;
+      for (const side of [1, -1]) {
+        const wx = px + nx * side;
+        const wz = pz + nz * side;
+        positions.push(wx - originX, this.getGroundHeight(wx, wz), wz - originZ);
+      }
+    }
+    return positions;
+  }
+
+  // Transit stations stand in downtown chunks: always in the chunk holding a
+  // city's core, and in a seeded share of the others
+  hasStation(cx, cz) {
+    const district = this.getChunkInfo(cx, cz);
+    if (district.type !== 'city') return false;
+    const { region } = district;
+    if (cx === Math.round(region.coreX) && cz === Math.round(region.coreZ)) return true;
+    return seededRandom(cx, cz, this.seed + 401) < STATION_CHANCE;
+  }
+
+  _layoutBuildings(chunk, district) {
+    const { cx, cz, type } = chunk;
+    const station = this.hasStation(cx, cz);
+    const seedBase = cx * 92821 + cz * 68917 + this.seed * 3;
+    const buildingColorBase = type === 'city' ? 0x666666 : 0x777777;
+    const rows = type === 'city' ? 4 : 3;
+    const cols = type === 'city' ? 4 : 3;
+    const spacingX = CHUNK_SIZE / (cols + 1);
+    const spacingZ = CHUNK_SIZE / (rows + 1);
+
+    for (let i = 0; i < cols; i++) {
+      for (let j = 0; j < rows; j++) {
+        if (station && i === 0 && j === 0) {
+          // The station takes the north-west lot
+          this._layoutStation(chunk, district, spacingX - CHUNK_SIZE / 2, spacingZ - CHUNK_SIZE / 2);
+          continue;
+        }
+        const r = seededRandom(seedBase + i * 17, seedBase + j * 37, 99);
+        if (r < 0.2) continue; // empty lot
+
+        let width = 8 + r * 10;
+        let depth = 8 + ((r * 11) % 6);
+        // Towers rise toward the downtown core
+        const height = (8 + ((r * 13) % 20)) * (type === 'city' ? 0.7 + district.density * 0.9 : 1);
+
+        let x = (i + 1) * spacingX - CHUNK_SIZE / 2;
+        let z = (j + 1) * spacingZ - CHUNK_SIZE / 2;
+
+        // Keep the lot off the street cross through the chunk centre
+        const clearance = ROAD_WIDTHS.street / 2 + SIDEWALK;
+        [x, width] = this._clipLotToStreet(x, width, clearance);
+        [z, depth] = this._clipLotToStreet(z, depth, clearance);
+        if (width < 6 || depth < 6) continue; // too thin once clipped
+
+        const colorVar = ((seededRandom(seedBase + i, seedBase + j, 5) * 0x20) | 0) & 0xff;
+        const windowVariant = Math.floor(seededRandom(seedBase + j, seedBase + i, 6) * 1000);
+        const color = ((buildingColorBase & 0xffffff) + colorVar) & 0xffffff;
+
+        // Collider (AABB in world space)
+        const minX = cx * CHUNK_SIZE + x - width / 2;
+        const maxX = cx * CHUNK_SIZE + x + width / 2;
+        const minZ = cz * CHUNK_SIZE + z - depth / 2;
+        const maxZ = cz * CHUNK_SIZE + z + depth / 2;
+
+        // Sit on the lowest ground under the footprint so no corner floats
+        const ground = this.getGroundRange(minX, maxX, minZ, maxZ);
+        const baseY = ground.min;
+        const topY = ground.max + height;
+        chunk.buildings.push({ x, z, width, depth, baseY, topY, color, windowVariant });
+        chunk.colliders.push({ shape: 'box', minX, maxX, minZ, maxZ, minY: baseY, maxY: topY });
+
+        // Door at the base of the +X face
+        const doorX = cx * CHUNK_SIZE + x + width / 2 + 0.2;
+        const doorZ = cz * CHUNK_SIZE + z;
+        const poiKind = r < 0.5 ? 'shop' : 'office';
+        const poiName =
+          poiKind === 'shop'
+            ? this.nameGen.getPoiName('shop', cx, cz, i * 10 + j, district.region.cityRoot)
+            : `${district.region.cityRoot} Tower ${this.nameGen.getBlockCode(cx, cz)}-${i}${j}`;
+        chunk.doors.push({
+          id: `${cx},${cz},${i},${j}`,
+          x: doorX,
+          y: this.getGroundHeight(doorX, doorZ),
+          z: doorZ,
+          areaName: poiName,
+          interiorType: poiKind,
+        });
+      }
+    }
+  }
+
+  // Station shelter centred on (x, z) in chunk space; travellers arrive (and
+  // interact) on the street side of its +X face. The core chunk's station is
+  // the city's Central, the rest are named after their block.
+  _layoutStation(chunk, district, x, z) {
+    const { cx, cz } = chunk;
+    const { region } = district;
+    const central = cx === Math.round(region.coreX) && cz === Math.round(region.coreZ);
+    const { width, depth, height } = STATION_SIZE;
+    const minX = cx * CHUNK_SIZE + x - width / 2;
+    const maxX = cx * CHUNK_SIZE + x + width / 2;
+    const minZ = cz * CHUNK_SIZE + z - depth / 2;
+    const maxZ = cz * CHUNK_SIZE + z + depth / 2;
+    const ground = this.getGroundRange(minX, maxX, minZ, maxZ);
+    chunk.props.push({ kind: 'station', x, z, width, depth, baseY: ground.min, height });
+    chunk.colliders.push({ shape: 'box', minX, maxX, minZ, maxZ, minY: ground.min, maxY: ground.min + height });
+
+    const entryX = maxX + 1.5;
+    const entryZ = cz * CHUNK_SIZE + z;
+    chunk.station = {
+      id: `station:${cx},${cz}`,
+      name: central
+        ? `${region.cityRoot} Central`
+        : `${district.districtName} ${this.nameGen.getBlockCode(cx, cz)} Station`,
+      cityName: district.cityName,
+      x: entryX,
+      y: this.getGroundHeight(entryX, entryZ),
+      z: entryZ,
+    };
+  }
+
+  // Shrinks a lot (centre, size along one axis) so it stays `clearance` away
+  // from the street running along that axis' centre line.
+  _clipLotToStreet(center, size, clearance) {
+    let min = center - size / 2;
+    let max = center + size / 2;
+    if (center >= 0) min = Math.max(min, clearance);
+    else max = Math.min(max, -clearance);
+    return [(min + max) / 2, max - min];
+  }
+
+  _layoutPark(chunk) {
+    const { cx, cz } = chunk;
+    for (let i = 0; i < 10; i++) {
+      const r = seededRandom(cx * 17 + i, cz * 31 + i * 3, 123);
+      const x = (r * CHUNK_SIZE) - CHUNK_SIZE / 2;
+      const z = (((r * 13.37) % 1) * CHUNK_SIZE) - CHUNK_SIZE / 2;
+      const trunkHeight = 2 + ((r * 7) % 2);
+      const worldX = cx * CHUNK_SIZE + x;
+      const worldZ = cz * CHUNK_SIZE + z;
+      // Sink the trunk a little so it stays rooted on slopes
+      const groundY = this.getGroundHeight(worldX, worldZ) - 0.3;
+      chunk.props.push({ kind: 'tree', x, y: groundY, z, trunkHeight });
+
+      // Only the trunk blocks; the crown overhangs above head height
+      chunk.colliders.push({
+        shape: 'circle',
+        x: worldX,
+        z: worldZ,
+        radius: 0.5,
+        minY: groundY,
+        maxY: groundY + trunkHeight + 2.7,
+      });
+    }
+  }
+
+  _layoutHighway(chunk) {
+    // Elevated slab running through the chunk along X. Where the next chunk
+    // along X is not highway, the deck ends in an on-ramp down to the ground.
+    const { cx, cz } = chunk;
+    const half = CHUNK_SIZE / 2;
+    const rampWest = this.getChunkType(cx - 1, cz) !== 'highway';
+    const rampEast = this.getChunkType(cx + 1, cz) !== 'highway';
+    const deckMinX = rampWest ? -half + HIGHWAY_RAMP_LENGTH : -half;
+    const deckMaxX = rampEast ? half - HIGHWAY_RAMP_LENGTH : half;
+
+    chunk.props.push({
+      kind: 'deck',
+      minX: deckMinX,
+      maxX: deckMaxX,
+      y: HIGHWAY_DECK_Y,
+      width: HIGHWAY_WIDTH,
+      thickness: 1,
+    });
+
+    // Solid deck: walkable on top, overhead when walking underneath
+    const originX = cx * CHUNK_SIZE;
+    const originZ = cz * CHUNK_SIZE;
+    chunk.colliders.push({
+      shape: 'box',
+      minX: originX + deckMinX,
+      maxX: originX + deckMaxX,
+      minZ: originZ - HIGHWAY_WIDTH / 2,
+      maxZ: originZ + HIGHWAY_WIDTH / 2,
+      minY: HIGHWAY_DECK_Y - 1,
+      maxY: HIGHWAY_DECK_Y,
+    });
+
+    if (rampWest) this._layoutRamp(chunk, -half, deckMinX, 0, HIGHWAY_DECK_Y);
+    if (rampEast) this._layoutRamp(chunk, deckMaxX, half, HIGHWAY_DECK_Y, 0);
+  }
+
+  // Ramp along X between local x0..x1, rising from y0 to y1
+  _layoutRamp(chunk, x0, x1, y0, y1) {
+    const { cx, cz } = chunk;
+    chunk.props.push({ kind: 'ramp', x0, x1, y0, y1, width: HIGHWAY_WIDTH, thickness: 0.6 });
+    chunk.colliders.push({
+      shape: 'ramp',
+      axis: 'x',
+      minX: cx * CHUNK_SIZE + x0,
+      maxX: cx * CHUNK_SIZE + x1,
+      minZ: cz * CHUNK_SIZE - HIGHWAY_WIDTH / 2,
+      maxZ: cz * CHUNK_SIZE + HIGHWAY_WIDTH / 2,
+      minY: 0,
+      y0,
+      y1,
+      maxY: Math.max(y0, y1),
+    });
+  }
+
+  _layoutWasteland(chunk) {
+    // Low boxes as debris
+    const { cx, cz } = chunk;
+    for (let i = 0; i < 8; i++) {
+      const r = seededRandom(cx * 31 + i * 7, cz * 41 + i * 11, 777);
+      const w = 4 + (r * 6) % 4;
+      const d = 4 + (r * 9) % 4;
+      const h = 1 + (r * 5) % 3;
+      const x = (r * CHUNK_SIZE) - CHUNK_SIZE / 2;
+      const z = (((r * 10.7) % 1) * CHUNK_SIZE) - CHUNK_SIZE / 2;
+      const worldX = cx * CHUNK_SIZE + x;
+      const worldZ = cz * CHUNK_SIZE + z;
+      const minX = worldX - w / 2;
+      const maxX = worldX + w / 2;
+      const minZ = worldZ - d / 2;
+      const maxZ = worldZ + d / 2;
+
+      // Bury the bottom in the slope and keep h of block above its high side
+      const ground = this.getGroundRange(minX, maxX, minZ, maxZ);
+      const baseY = ground.min;
+      const topY = ground.max + h;
+      chunk.props.push({ kind: 'debris', x, z, width: w, depth: d, baseY, topY });
+      chunk.colliders.push({ shape: 'box', minX, maxX, minZ, maxZ, minY: baseY, maxY: topY });
+    }
+  }
+
+  // TERRAIN -------------------------------------------------------------------
+  // Terrain height at world (x, z). Noise in [0, 1] scaled by the local
+  // amplitude, so flat chunks are exactly 0 and hills only ever rise.
+  getGroundHeight(x, z) {
+    const amplitude = this._getTerrainAmplitude(x, z);
+    if (amplitude <= 0) return 0;
+    const n = fractalNoise2D(x * TERRAIN_FREQUENCY, z * TERRAIN_FREQUENCY, this.seed);
+    return (n * 0.5 + 0.5) * amplitude;
+  }
+
+  // Amplitude field that is continuous across chunk borders: each chunk
+  // corner takes the smallest amplitude of the four chunks sharing it, chunk
+  // edges interpolate between their corners, and the chunk's own amplitude
+  // only takes over away from its edges. A flat (city) chunk therefore pins
+  // all of its borders to 0 and its neighbours ease down to meet it.
+  _getTerrainAmplitude(x, z) {
+    const cx = chunkCoord(x);
+    const cz = chunkCoord(z);
+    const u = x / CHUNK_SIZE + 0.5 - cx;
+    const v = z / CHUNK_SIZE + 0.5 - cz;
+
+    const own = TERRAIN_AMPLITUDE[this.getChunkType(cx, cz)] || 0;
+    if (own === 0) return 0; // every corner of a flat chunk is 0 too
+
+    const cornerAmp = (kx, kz) =>
+      Math.min(
+        TERRAIN_AMPLITUDE[this.getChunkType(kx - 1, kz - 1)] || 0,
+        TERRAIN_AMPLITUDE[this.getChunkType(kx, kz - 1)] || 0,
+        TERRAIN_AMPLITUDE[this.getChunkType(kx - 1, kz)] || 0,
+        TERRAIN_AMPLITUDE[this.getChunkType(kx, kz)] || 0
+      );
+    const a00 = cornerAmp(cx, cz);
+    const a10 = cornerAmp(cx + 1, cz);
+    const a01 = cornerAmp(cx, cz + 1);
+    const a11 = cornerAmp(cx + 1, cz + 1);
+    const border = (a00 * (1 - u) + a10 * u) * (1 - v) + (a01 * (1 - u) + a11 * u) * v;
+
+    const edgeDist = Math.min(u, 1 - u, v, 1 - v) * CHUNK_SIZE;
+    const t = Math.min(1, edgeDist / TERRAIN_EDGE_BLEND);
+    const w = t * t * (3 - 2 * t);
+    return border + (own - border) * w;
+  }
+
+  // Lowest / highest terrain under a rectangular footprint (corners + centre)
+  getGroundRange(minX, maxX, minZ, maxZ) {
+    const samples = [
+      this.getGroundHeight(minX, minZ),
+      this.getGroundHeight(maxX, minZ),
+      this.getGroundHeight(minX, maxZ),
+      this.getGroundHeight(maxX, maxZ),
+      this.getGroundHeight((minX + maxX) / 2, (minZ + maxZ) / 2),
+    ];
+    return { min: Math.min(...samples), max: Math.max(...samples) };
+  }
+}